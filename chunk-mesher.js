@@ -0,0 +1,302 @@
+/* chunk-mesher.js — greedy chunk mesher for Block City, shared by the main thread and the meshing worker.
+   Input is a chunk's blocks plus a one-voxel border from its neighbours ("padded"), so meshing never
+   needs the world. Block id 0 is air. Faces are sorted into render layers (opaque, glass, ...) chosen
+   by the caller, so see-through blocks can get their own mesh and material.
+   Each vertex is darkened by ambient occlusion from the three voxels around its corner and by the
+   smooth sky/block light of the cells in front of the face (voxel-light.js), baked into its colour.
+   Loaded as a plain <script> it defines `ChunkMesher`; under CommonJS it is `module.exports`;
+   started with `new Worker("chunk-mesher.js")` it answers mesh jobs (see serveWorker).
+*/
+
+(function (root, factory) {
+  const api = factory();
+  if (typeof module === "object" && module.exports) module.exports = api;
+  else root.ChunkMesher = api;
+  if (typeof WorkerGlobalScope !== "undefined" && root instanceof WorkerGlobalScope) api.serveWorker(root);
+})(typeof self !== "undefined" ? self : this, () => {
+  "use strict";
+
+  const AIR = 0;
+
+  // Corner brightness by how many of the three voxels around it are opaque (index 3 = none).
+  const AO_SHADE = [0.5, 0.68, 0.84, 1];
+  // Brightness for a light level in quarter steps (levels are averaged over up to four cells):
+  // each level below full dims by a fifth, bottoming out so unlit rooms are dark but not black.
+  const LIGHT_SHADE = new Float32Array(15 * 4 + 1);
+  for (let q = 0; q < LIGHT_SHADE.length; q++) LIGHT_SHADE[q] = Math.max(0.12, Math.pow(0.8, 15 - q / 4));
+
+  /**
+   * Creates a mesher for chunks of `chunkSize`. `faceColors` is RGBA per (block, face) laid out as
+   * faceColors[(block * 6 + face) * 4], faces in +X, -X, +Y, -Y, +Z, -Z order.
+   * Per block id (arrays of 256): `layerOf` picks the output layer (0..layerCount-1) and `opaque` is 1
+   * for blocks that hide the faces of whatever is next to them. A see-through block shows every face
+   * that isn't against an opaque block or the same block, so glass shows the wall behind it while a
+   * glass pane or a pool of water has no inner faces. Without layer tables every block is one opaque layer.
+   * `unlit` is 1 for blocks that skip occlusion and light (emissive blocks stay full-bright).
+   */
+  function createMesher({ chunkSize, faceColors, layerOf = null, opaque = null, unlit = null, layerCount = 1 }) {
+    const N = chunkSize;
+    const PAD = N + 2;
+    function pidx(lx, ly, lz) {
+      return lx + 1 + PAD * (ly + 1 + PAD * (lz + 1));
+    }
+    if (!opaque) opaque = new Uint8Array(256).fill(1, 1);
+    if (!layerOf) layerOf = new Uint8Array(256);
+    if (!unlit) unlit = new Uint8Array(256);
+
+    // Scratch output per layer, reused across calls; grown by doubling, never shrunk.
+    const outs = [];
+    for (let l = 0; l < layerCount; l++) {
+      outs.push({
+        positions: new Float32Array(1024 * 3),
+        normals: new Float32Array(1024 * 3),
+        colors: new Float32Array(1024 * 4),
+        indices: new Uint32Array(1536),
+        vertexCount: 0,
+        indexCount: 0,
+      });
+    }
+    const mask = new Uint8Array(N * N);
+    // Per masked face: vertex brightness at its four corners, indexed (db + 2 * dc) along the tangents.
+    const shade = new Float32Array(N * N * 4);
+    const uniform = new Uint8Array(N * N);
+
+    function grow(out, extraVerts) {
+      const need = out.vertexCount + extraVerts;
+      if (need * 3 <= out.positions.length) return;
+      let cap = out.positions.length / 3;
+      while (cap < need) cap *= 2;
+      const resize = (arr, n) => {
+        const next = new arr.constructor(n);
+        next.set(arr);
+        return next;
+      };
+      out.positions = resize(out.positions, cap * 3);
+      out.normals = resize(out.normals, cap * 3);
+      out.colors = resize(out.colors, cap * 4);
+      out.indices = resize(out.indices, (cap / 4) * 6);
+    }
+
+    // Emits one quad. `a` is the normal axis, `s` its sign, (b,c) the tangent axes with b x c = +a,
+    // `plane` the world coordinate along a, and [b0,b0+w] x [c0,c0+h] the rectangle.
+    // `sk` is the mask cell whose corner shades (see shade) darken the vertex colours.
+    function pushQuad(a, s, b, c, plane, b0, c0, w, h, block, sk) {
+      const out = outs[layerOf[block]];
+      grow(out, 4);
+      const vi = out.vertexCount;
+      const pos = out.positions;
+      const corners = s > 0
+        ? [0, 0, w, 0, w, h, 0, h] // (p1-p0) x (p2-p0) points along +a, as the old per-face DIRS did
+        : [0, 0, 0, h, w, h, w, 0]; // swapped tangents for -a
+      for (let k = 0; k < 4; k++) {
+        const o = (vi + k) * 3;
+        pos[o + a] = plane;
+        pos[o + b] = b0 + corners[k * 2];
+        pos[o + c] = c0 + corners[k * 2 + 1];
+        out.normals[o] = a === 0 ? s : 0;
+        out.normals[o + 1] = a === 1 ? s : 0;
+        out.normals[o + 2] = a === 2 ? s : 0;
+      }
+
+      const f = a * 2 + (s > 0 ? 0 : 1);
+      const co = (block * 6 + f) * 4;
+      const lit = [0, 0, 0, 0];
+      for (let k = 0; k < 4; k++) {
+        const corner = (corners[k * 2] ? 1 : 0) + (corners[k * 2 + 1] ? 2 : 0);
+        const v = shade[sk * 4 + corner];
+        const o = (vi + k) * 4;
+        out.colors[o] = faceColors[co] * v;
+        out.colors[o + 1] = faceColors[co + 1] * v;
+        out.colors[o + 2] = faceColors[co + 2] * v;
+        out.colors[o + 3] = faceColors[co + 3];
+        lit[k] = v;
+      }
+
+      // Split the quad along its brighter diagonal so occlusion gradients don't come out lopsided.
+      const flip = lit[0] + lit[2] < lit[1] + lit[3];
+      const ii = out.indexCount;
+      const idxs = out.indices;
+      const v0 = flip ? vi + 1 : vi;
+      idxs[ii] = v0;
+      idxs[ii + 1] = v0 + 1;
+      idxs[ii + 2] = v0 + 2;
+      idxs[ii + 3] = v0;
+      idxs[ii + 4] = v0 + 2;
+      idxs[ii + 5] = flip ? vi : vi + 3;
+
+      out.vertexCount += 4;
+      out.indexCount += 6;
+    }
+
+    // Light level a cell contributes to a corner: the brighter of its sky and block light.
+    function levelAt(light, i) {
+      if (!light) return 15;
+      const v = light[i];
+      return Math.max(v >> 4, v & 15);
+    }
+
+    // Fills shade[k * 4..k * 4 + 3] for the face of the cell at d along `a` (i along b, j along c) that
+    // looks into the cell at d + s. Each corner takes its occlusion from the two side voxels and the
+    // diagonal one in front of the face, and averages the light of those it can see past.
+    const q = [0, 0, 0];
+    function shadeFace(padded, light, a, b, c, s, d, i, j, k) {
+      q[a] = d + s;
+      let allSame = true;
+      for (let corner = 0; corner < 4; corner++) {
+        const sb = corner & 1 ? 1 : -1;
+        const sc = corner & 2 ? 1 : -1;
+        q[b] = i;
+        q[c] = j;
+        const i0 = pidx(q[0], q[1], q[2]);
+        q[b] = i + sb;
+        const i1 = pidx(q[0], q[1], q[2]);
+        q[c] = j + sc;
+        const i3 = pidx(q[0], q[1], q[2]);
+        q[b] = i;
+        const i2 = pidx(q[0], q[1], q[2]);
+        const o1 = opaque[padded[i1]];
+        const o2 = opaque[padded[i2]];
+        const o3 = opaque[padded[i3]];
+        const ao = o1 && o2 ? 0 : 3 - o1 - o2 - o3;
+        let sum = levelAt(light, i0);
+        let n = 1;
+        if (!o1) {
+          sum += levelAt(light, i1);
+          n++;
+        }
+        if (!o2) {
+          sum += levelAt(light, i2);
+          n++;
+        }
+        if (!o3 && ao > 0) {
+          sum += levelAt(light, i3);
+          n++;
+        }
+        const v = AO_SHADE[ao] * LIGHT_SHADE[Math.round((sum * 4) / n)];
+        shade[k * 4 + corner] = v;
+        if (v !== shade[k * 4]) allSame = false;
+      }
+      uniform[k] = allSame ? 1 : 0;
+    }
+
+    // Merges coplanar exposed faces of the same block into the largest rectangles it can, slice by slice.
+    // Only faces shaded evenly at all four corners merge (with faces shaded the same), so occlusion and
+    // light gradients keep their per-voxel detail. `light` is the padded sky/block light; without it
+    // every cell counts as open sky.
+    // Returns the shared per-layer scratch outputs holding world-space geometry for the chunk at `origin`.
+    function mesh(padded, origin, light = null) {
+      for (const out of outs) {
+        out.vertexCount = 0;
+        out.indexCount = 0;
+      }
+      const o = [origin.x, origin.y, origin.z];
+      const p = [0, 0, 0];
+
+      for (let a = 0; a < 3; a++) {
+        const b = (a + 1) % 3;
+        const c = (a + 2) % 3;
+        for (const s of [1, -1]) {
+          for (let d = 0; d < N; d++) {
+            // Build the exposure mask for this slice.
+            let any = false;
+            for (let j = 0; j < N; j++) {
+              for (let i = 0; i < N; i++) {
+                p[a] = d;
+                p[b] = i;
+                p[c] = j;
+                const blk = padded[pidx(p[0], p[1], p[2])];
+                let m = 0;
+                if (blk !== AIR) {
+                  p[a] = d + s;
+                  const nb = padded[pidx(p[0], p[1], p[2])];
+                  if (!opaque[nb] && (opaque[blk] || nb !== blk)) m = blk;
+                }
+                const k = i + j * N;
+                mask[k] = m;
+                if (!m) continue;
+                any = true;
+                if (unlit[m]) {
+                  shade.fill(1, k * 4, k * 4 + 4);
+                  uniform[k] = 1;
+                } else {
+                  shadeFace(padded, light, a, b, c, s, d, i, j, k);
+                }
+              }
+            }
+            if (!any) continue;
+
+            const plane = o[a] + d + (s > 0 ? 1 : 0);
+            for (let j = 0; j < N; j++) {
+              for (let i = 0; i < N; ) {
+                const m = mask[i + j * N];
+                if (!m) {
+                  i++;
+                  continue;
+                }
+                const k0 = i + j * N;
+                const v = shade[k0 * 4];
+                const same = (k) => mask[k] === m && uniform[k] && shade[k * 4] === v;
+                let w = 1;
+                let h = 1;
+                if (uniform[k0]) {
+                  while (i + w < N && same(i + w + j * N)) w++;
+                  grow: while (j + h < N) {
+                    for (let k = 0; k < w; k++) {
+                      if (!same(i + k + (j + h) * N)) break grow;
+                    }
+                    h++;
+                  }
+                }
+                for (let y = 0; y < h; y++) mask.fill(0, i + (j + y) * N, i + w + (j + y) * N);
+                pushQuad(a, s, b, c, plane, o[b] + i, o[c] + j, w, h, m, k0);
+                i += w;
+              }
+            }
+          }
+        }
+      }
+      return outs;
+    }
+
+    // Exact-size copies of the scratch output, one per layer, safe to keep or transfer.
+    function snapshot() {
+      return outs.map((out) => ({
+        vertexCount: out.vertexCount,
+        indexCount: out.indexCount,
+        positions: out.positions.slice(0, out.vertexCount * 3),
+        normals: out.normals.slice(0, out.vertexCount * 3),
+        colors: out.colors.slice(0, out.vertexCount * 4),
+        indices: out.indices.slice(0, out.indexCount),
+      }));
+    }
+
+    return { mesh, snapshot, pidx, PAD };
+  }
+
+  /**
+   * Worker side of the protocol:
+   *   { type: "init", chunkSize, faceColors, layerOf, opaque, unlit, layerCount }  — once, before any job
+   *   { type: "mesh", id, padded, light, origin }                                  — padded and light are transferred in
+   *   -> { type: "mesh", id, layers: [{ vertexCount, indexCount, positions, normals, colors, indices }] }
+   * Result buffers are transferred back to the caller.
+   */
+  function serveWorker(scope) {
+    let mesher = null;
+    scope.onmessage = (e) => {
+      const msg = e.data;
+      if (msg.type === "init") {
+        mesher = createMesher(msg);
+        return;
+      }
+      if (msg.type === "mesh" && mesher) {
+        mesher.mesh(msg.padded, msg.origin, msg.light);
+        const layers = mesher.snapshot();
+        const transfer = [];
+        for (const g of layers) transfer.push(g.positions.buffer, g.normals.buffer, g.colors.buffer, g.indices.buffer);
+        scope.postMessage({ type: "mesh", id: msg.id, layers }, transfer);
+      }
+    };
+  }
+
+  return { createMesher, serveWorker };
+});
@@ -0,0 +1,355 @@
+/* city-gen.js — seeded procedural city layout for Block City.
+   Pure data: no Babylon or DOM, so the same seed gives the same city in the browser and under Node.
+   Loaded as a plain <script> it defines `CityGen`; under CommonJS it is `module.exports`.
+*/
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.CityGen = factory();
+})(typeof self !== "undefined" ? self : this, () => {
+  "use strict";
+
+  /** ---------------------------
+   *  Seeded hashing / RNG
+   *  --------------------------- */
+  // FNV-1a over the seed text, so "?seed=downtown" and "?seed=42" both work.
+  function hashSeed(text) {
+    const s = String(text);
+    let h = 0x811c9dc5;
+    for (let i = 0; i < s.length; i++) {
+      h ^= s.charCodeAt(i);
+      h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+  }
+
+  // Integer hash of (seed, a, b, c) -> uint32. Position-based, so any column can be evaluated on its own.
+  function hash32(seed, a, b, c) {
+    let h = seed ^ Math.imul(a | 0, 0x27d4eb2d) ^ Math.imul(b | 0, 0x165667b1) ^ Math.imul(c | 0, 0x9e3779b1);
+    h = Math.imul(h ^ (h >>> 15), 0x85ebca6b);
+    h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+    return (h ^ (h >>> 16)) >>> 0;
+  }
+
+  function rand01(seed, a, b, c) {
+    return hash32(seed, a, b, c) / 4294967296;
+  }
+
+  // Next number in [0, 1) from a mulberry32 stream kept in `rng.state`, so callers can save and
+  // restore the stream as plain data.
+  function nextRandom(rng) {
+    rng.state = (rng.state + 0x6d2b79f5) >>> 0;
+    let t = rng.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  // Sequential RNG for callers that need a stream rather than a position hash.
+  function mulberry32(seed) {
+    const rng = { state: seed >>> 0 };
+    return () => nextRandom(rng);
+  }
+
+  function floorDiv(n, d) {
+    return Math.floor(n / d);
+  }
+  function mod(n, d) {
+    return ((n % d) + d) % d;
+  }
+
+  /** ---------------------------
+   *  City layout
+   *  --------------------------- */
+  const DISTRICT = {
+    DOWNTOWN: "downtown",
+    SUBURB: "suburb",
+    PARK: "park",
+    PLAZA: "plaza",
+  };
+
+  const DEFAULTS = {
+    seed: "block-city",
+    halfSize: Infinity, // city extends [-halfSize..halfSize) on X and Z; Infinity streams forever
+    groundY: 0,
+    pitch: 16, // road grid spacing (one city block + its roads)
+    roadWidth: 3,
+    downtownRadius: 35, // blocks around a downtown core
+    coreSpacing: 128, // one possible downtown core per coreSpacing x coreSpacing region
+    coreChance: 0.6,
+    parkChance: 0.12,
+    plazaChance: 0.08,
+    crateChance: 0.02,
+  };
+
+  // Salts keep the different per-cell decisions uncorrelated.
+  const SALT = { DISTRICT: 1, JITTER: 2, LOT: 3, HEIGHT: 4, CRATE: 5, CRATE_STACK: 6, CORE: 7, CORE_X: 8, CORE_Z: 9 };
+
+  /**
+   * Creates a deterministic city generator.
+   * `blocks` must provide the AIR, ROAD, SIDEWALK, GRASS, BUILDING and CRATE ids; if it also has GLASS
+   * and WATER, towers get window bands and parks get ponds, and with LAMP there are street lamps.
+   */
+  function createCityGenerator(options) {
+    const opts = Object.assign({}, DEFAULTS, options);
+    const B = opts.blocks;
+    if (!B) throw new Error("createCityGenerator: options.blocks is required");
+
+    const seed = hashSeed(opts.seed);
+    const { halfSize, groundY, pitch, roadWidth } = opts;
+    const hasGlass = B.GLASS !== undefined;
+    const hasWater = B.WATER !== undefined;
+    const hasLamps = B.LAMP !== undefined;
+    const LAMP_HEIGHT = 4; // pole blocks plus the lamp on top
+
+    // Lot area inside a city block: roads, then one sidewalk ring, then a 2x2 grid of lots split by an alley.
+    const lotStart = roadWidth + 1;
+    const lotEnd = pitch - 1; // exclusive
+    const lotSpan = lotEnd - lotStart;
+    const alley = lotStart + Math.floor(lotSpan / 2);
+
+    const districtCache = new Map();
+    const DISTRICT_CACHE_MAX = 4096; // streamed worlds visit unbounded blocks; keep the cache small
+
+    // Downtown core for a coreSpacing region: always one at the origin, elsewhere by chance.
+    // Cores stay in the middle of their region so neighbouring regions never overlap.
+    function coreOf(rx, rz) {
+      if (rx === 0 && rz === 0) return { x: 0, z: 0 };
+      if (rand01(seed, rx, rz, SALT.CORE) >= opts.coreChance) return null;
+      const s = opts.coreSpacing;
+      return {
+        x: (rx + 0.25 + rand01(seed, rx, rz, SALT.CORE_X) * 0.5) * s - s / 2,
+        z: (rz + 0.25 + rand01(seed, rx, rz, SALT.CORE_Z) * 0.5) * s - s / 2,
+      };
+    }
+
+    function distanceToCore(x, z) {
+      const s = opts.coreSpacing;
+      const rx = floorDiv(x + s / 2, s);
+      const rz = floorDiv(z + s / 2, s);
+      let best = Infinity;
+      for (let dz = -1; dz <= 1; dz++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          const core = coreOf(rx + dx, rz + dz);
+          if (core) best = Math.min(best, Math.hypot(x - core.x, z - core.z));
+        }
+      }
+      return best;
+    }
+
+    function districtOf(bx, bz) {
+      const k = `${bx},${bz}`;
+      let d = districtCache.get(k);
+      if (d) return d;
+
+      const roll = rand01(seed, bx, bz, SALT.DISTRICT);
+      const r = distanceToCore((bx + 0.5) * pitch, (bz + 0.5) * pitch);
+      const jitter = (rand01(seed, bx, bz, SALT.JITTER) - 0.5) * 12;
+
+      if (roll < opts.parkChance) d = DISTRICT.PARK;
+      else if (roll < opts.parkChance + opts.plazaChance) d = DISTRICT.PLAZA;
+      else if (r < opts.downtownRadius + jitter) d = DISTRICT.DOWNTOWN;
+      else d = DISTRICT.SUBURB;
+
+      if (districtCache.size >= DISTRICT_CACHE_MAX) districtCache.clear();
+      districtCache.set(k, d);
+      return d;
+    }
+
+    function inCity(x, z) {
+      return x >= -halfSize && x < halfSize && z >= -halfSize && z < halfSize;
+    }
+
+    // Lot index along one axis (0/1), or -1 on the alley between lots.
+    function lotIndex(l) {
+      if (l === alley) return -1;
+      return l < alley ? 0 : 1;
+    }
+
+    function lotBounds(i) {
+      return i === 0 ? [lotStart, alley] : [alley + 1, lotEnd];
+    }
+
+    /**
+     * Describes one (x,z) column:
+     *   ground   — block at groundY
+     *   height   — number of blocks stacked above ground (0 = none)
+     *   fill     — block used for that stack
+     *   district — district name, or null on roads / outside the city
+     *   windows  — true on a tower's outer wall, where window rows use glass instead of fill
+     *   top      — if set, the block at the top of the stack instead of fill
+     */
+    function columnAt(x, z) {
+      const col = { ground: B.AIR, height: 0, fill: B.AIR, district: null, windows: false, top: null };
+      if (!inCity(x, z)) return col;
+
+      const lx = mod(x, pitch);
+      const lz = mod(z, pitch);
+
+      if (lx < roadWidth || lz < roadWidth) {
+        col.ground = B.ROAD;
+        return col;
+      }
+
+      const bx = floorDiv(x, pitch);
+      const bz = floorDiv(z, pitch);
+      const district = districtOf(bx, bz);
+      col.district = district;
+
+      const onSidewalk = lx === roadWidth || lz === roadWidth || lx === pitch - 1 || lz === pitch - 1;
+      if (onSidewalk) {
+        col.ground = B.SIDEWALK;
+        if (hasLamps && lx === roadWidth && lz === roadWidth) {
+          // Street lamp on the corner of every city block.
+          col.height = LAMP_HEIGHT;
+          col.fill = B.BUILDING;
+          col.top = B.LAMP;
+        }
+        return col;
+      }
+
+      const ix = lotIndex(lx);
+      const iz = lotIndex(lz);
+
+      if (district === DISTRICT.PARK) {
+        col.ground = B.GRASS;
+        // Pond in the middle of the park, one block deep on a grass bed.
+        const mid = lotStart + lotSpan / 2;
+        if (hasWater && Math.hypot(lx + 0.5 - mid, lz + 0.5 - mid) < lotSpan * 0.3) {
+          col.height = 1;
+          col.fill = B.WATER;
+        }
+        return col;
+      }
+
+      if (district === DISTRICT.PLAZA) {
+        col.ground = B.SIDEWALK;
+        // Small monument in the middle of the square.
+        const mid = lotStart + Math.floor(lotSpan / 2);
+        if (Math.abs(lx - mid) <= 1 && Math.abs(lz - mid) <= 1) {
+          col.height = lx === mid && lz === mid ? 3 : 1;
+          col.fill = B.BUILDING;
+        }
+        return col;
+      }
+
+      col.ground = district === DISTRICT.SUBURB ? B.GRASS : B.SIDEWALK;
+      if (ix < 0 || iz < 0) return col; // alley
+
+      const lotX = bx * 2 + ix;
+      const lotZ = bz * 2 + iz;
+      const occupied = rand01(seed, lotX, lotZ, SALT.LOT);
+      const [x0, x1] = lotBounds(ix);
+      const [z0, z1] = lotBounds(iz);
+
+      if (district === DISTRICT.DOWNTOWN) {
+        // Towers fill the whole lot.
+        if (occupied < 0.9) {
+          col.height = 12 + Math.floor(rand01(seed, lotX, lotZ, SALT.HEIGHT) * 19); // 12..30
+          col.fill = B.BUILDING;
+          col.windows = hasGlass && (lx === x0 || lx === x1 - 1 || lz === z0 || lz === z1 - 1);
+        }
+        return col;
+      }
+
+      // Suburb: small houses inset into a grass yard.
+      if (occupied < 0.7 && lx > x0 && lx < x1 - 1 && lz > z0 && lz < z1 - 1) {
+        col.height = 2 + Math.floor(rand01(seed, lotX, lotZ, SALT.HEIGHT) * 4); // 2..5
+        col.fill = B.BUILDING;
+      }
+      return col;
+    }
+
+    // Loose crates on open, non-road ground.
+    function crateHeightAt(x, z, col) {
+      if (col.height > 0 || col.ground === B.ROAD || col.ground === B.AIR) return 0;
+      if (col.district === DISTRICT.PARK) return 0;
+      if (rand01(seed, x, z, SALT.CRATE) >= opts.crateChance) return 0;
+      return rand01(seed, x, z, SALT.CRATE_STACK) > 0.7 ? 2 : 1;
+    }
+
+    // Windows: two glass rows out of every three storeys, below the roofline, never at street level.
+    function stackBlock(col, up) {
+      if (col.top !== null && up === col.height) return col.top;
+      if (col.windows && up > 1 && up < col.height && up % 3 !== 1) return B.GLASS;
+      return col.fill;
+    }
+
+    function blockAt(x, y, z) {
+      if (y < groundY) return B.AIR;
+      const col = columnAt(x, z);
+      if (y === groundY) return col.ground;
+      const up = y - groundY;
+      if (up <= col.height) return stackBlock(col, up);
+      if (up <= crateHeightAt(x, z, col)) return B.CRATE;
+      return B.AIR;
+    }
+
+    /**
+     * Fills a chunk's block array (indexed lx + size * (ly + size * lz)).
+     * Returns true if any non-air block was written.
+     */
+    function fillChunk(cx, cy, cz, size, out) {
+      const ox = cx * size;
+      const oy = cy * size;
+      const oz = cz * size;
+      let any = false;
+
+      for (let lz = 0; lz < size; lz++) {
+        for (let lx = 0; lx < size; lx++) {
+          const x = ox + lx;
+          const z = oz + lz;
+          const col = columnAt(x, z);
+          if (col.ground === B.AIR) continue;
+          const crate = crateHeightAt(x, z, col);
+
+          for (let ly = 0; ly < size; ly++) {
+            const up = oy + ly - groundY;
+            let b = B.AIR;
+            if (up === 0) b = col.ground;
+            else if (up > 0 && up <= col.height) b = stackBlock(col, up);
+            else if (up > 0 && up <= crate) b = B.CRATE;
+            if (b === B.AIR) continue;
+            out[lx + size * (ly + size * lz)] = b;
+            any = true;
+          }
+        }
+      }
+      return any;
+    }
+
+    // Lamp blocks within `radius` of (x, z) on the XZ plane, as {x, y, z} cells.
+    function streetLampsNear(x, z, radius) {
+      const out = [];
+      if (!hasLamps) return out;
+      for (let bz = floorDiv(z - radius, pitch); bz <= floorDiv(z + radius, pitch); bz++) {
+        for (let bx = floorDiv(x - radius, pitch); bx <= floorDiv(x + radius, pitch); bx++) {
+          const lx = bx * pitch + roadWidth;
+          const lz = bz * pitch + roadWidth;
+          if (!inCity(lx, lz) || Math.hypot(lx + 0.5 - x, lz + 0.5 - z) > radius) continue;
+          out.push({ x: lx, y: groundY + LAMP_HEIGHT, z: lz });
+        }
+      }
+      return out;
+    }
+
+    // Centre of the road intersection nearest the origin; always open ground.
+    function spawnPoint() {
+      return { x: roadWidth / 2, y: groundY + 1, z: roadWidth / 2 };
+    }
+
+    return {
+      seed,
+      seedText: String(opts.seed),
+      options: opts,
+      columnAt,
+      blockAt,
+      fillChunk,
+      spawnPoint,
+      streetLampsNear,
+      districtOf,
+    };
+  }
+
+  return { DISTRICT, DEFAULTS, hashSeed, hash32, rand01, mulberry32, nextRandom, createCityGenerator };
+});
@@ -0,0 +1,2672 @@
+/* game-sim.js — Block City's gameplay, without the page: the voxel world and its streaming, the player,
+   creepers, item drops, explosions, game modes and the fixed simulation step that advances them.
+   It builds its meshes into a scene on whatever Babylon engine it is handed. main.js passes its canvas
+   engine and adds the cameras, lights, HUD, input devices, sound, saving and multiplayer around it; under
+   Node a BABYLON.NullEngine runs it headless (see test/). Steps never read the wall clock and draw every
+   gameplay roll from a seeded stream, so the same options, start and inputs always give the same game.
+   Loaded as a plain <script> after babylon.js, city-gen.js, chunk-mesher.js, voxel-physics.js and
+   voxel-light.js it defines `GameSim`; under CommonJS it is `module.exports`.
+*/
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(
+      require("babylonjs"),
+      require("./city-gen.js"),
+      require("./chunk-mesher.js"),
+      require("./voxel-physics.js"),
+      require("./voxel-light.js")
+    );
+  } else {
+    root.GameSim = factory(root.BABYLON, root.CityGen, root.ChunkMesher, root.VoxelPhysics, root.VoxelLight);
+  }
+})(typeof self !== "undefined" ? self : this, (BABYLON, CityGen, ChunkMesher, VoxelPhysics, VoxelLight) => {
+  "use strict";
+
+  /** ---------------------------
+   *  Blocks
+   *  --------------------------- */
+  const CHUNK_SIZE = 16;
+  const CHUNK_VOL = CHUNK_SIZE * CHUNK_SIZE * CHUNK_SIZE;
+
+  // Block registry. Ids are stored in chunk data and saves, so never renumber them.
+  //   color           — RGBA; alpha is used by transparent blocks
+  //   solid           — collides, can be stood on and hides nothing but air
+  //   transparent     — drawn in a see-through layer and doesn't hide neighbouring faces
+  //   emissive        — drawn full-bright, ignoring scene lights
+  //   light           — block light it gives off (0..15), spread through see-through blocks (voxel-light.js)
+  //   breakable       — can be mined by hand
+  //   hardness        — relative time to break by hand
+  //   blastResistance — explosion strength it absorbs; strength is radius minus distance from the centre,
+  //                     so a radius-4 blast clears crates out to ~3.7 blocks but only dents road near the middle
+  const BLOCK_DEFAULTS = {
+    color: [1, 1, 1, 1],
+    solid: true,
+    transparent: false,
+    emissive: false,
+    light: 0,
+    breakable: true,
+    hardness: 1,
+    blastResistance: 1,
+  };
+
+  const BLOCK_TYPES = [
+    { id: 0, name: "AIR", solid: false, transparent: true, breakable: false, hardness: 0, blastResistance: Infinity },
+    { id: 1, name: "ROAD", color: [0.18, 0.18, 0.2, 1], hardness: 1.5, blastResistance: 2.5 },
+    { id: 2, name: "BUILDING", color: [0.7, 0.74, 0.78, 1], hardness: 1.2, blastResistance: 1.6 },
+    { id: 3, name: "CRATE", color: [0.58, 0.4, 0.22, 1], hardness: 0.4, blastResistance: 0.3 },
+    { id: 4, name: "SIDEWALK", color: [0.52, 0.52, 0.5, 1], hardness: 1.0, blastResistance: 2.0 },
+    { id: 5, name: "GRASS", color: [0.3, 0.56, 0.24, 1], hardness: 0.5, blastResistance: 0.8 },
+    { id: 6, name: "TNT", color: [0.82, 0.2, 0.16, 1], hardness: 0.1, blastResistance: 0 },
+    { id: 7, name: "GLASS", color: [0.72, 0.86, 0.95, 0.35], transparent: true, hardness: 0.3, blastResistance: 0.2 },
+    {
+      id: 8,
+      name: "WATER",
+      color: [0.2, 0.45, 0.85, 0.6],
+      solid: false,
+      transparent: true,
+      breakable: false,
+      hardness: 0,
+      blastResistance: Infinity,
+    },
+    { id: 9, name: "LAMP", color: [1.0, 0.9, 0.6, 1], emissive: true, light: 14, hardness: 0.5, blastResistance: 0.5 },
+  ].map((t) => Object.assign({}, BLOCK_DEFAULTS, t));
+
+  const BLOCK = {};
+  const BLOCK_INFO = [];
+  for (const t of BLOCK_TYPES) {
+    BLOCK[t.name] = t.id;
+    BLOCK_INFO[t.id] = t;
+  }
+
+  // Ids we don't know (e.g. from a newer save) behave like a plain solid block.
+  function blockInfo(id) {
+    return BLOCK_INFO[id] || BLOCK_DEFAULTS;
+  }
+
+  function isSolid(id) {
+    return blockInfo(id).solid;
+  }
+
+  function idx(lx, ly, lz) {
+    return lx + CHUNK_SIZE * (ly + CHUNK_SIZE * lz);
+  }
+  function floorDiv(n, d) {
+    return Math.floor(n / d);
+  }
+  function mod(n, d) {
+    return ((n % d) + d) % d;
+  }
+  function key(cx, cy, cz) {
+    return `${cx},${cy},${cz}`;
+  }
+
+  // Per-vertex colors
+  const COLOR = {};
+  for (const t of BLOCK_TYPES) {
+    if (t.id !== BLOCK.AIR) COLOR[t.id] = new BABYLON.Color4(...t.color);
+  }
+
+  // Face shading by direction, in +X, -X, +Y, -Y, +Z, -Z order: slight variation to avoid a flat look.
+  // The mesher darkens each vertex further by ambient occlusion and baked light.
+  const FACE_SHADE = [1.0, 1.0, 1.07, 0.92, 1.0, 1.0];
+
+  // Pre-shaded RGBA per (block, face) so meshing never allocates colours. Emissive blocks stay unshaded.
+  const FACE_COLORS = new Float32Array(256 * 6 * 4);
+  function buildFaceColors() {
+    for (let b = 0; b < 256; b++) {
+      const c = COLOR[b] || new BABYLON.Color4(1, 1, 1, 1);
+      const emissive = blockInfo(b).emissive;
+      for (let f = 0; f < 6; f++) {
+        const o = (b * 6 + f) * 4;
+        const shade = emissive ? 1 : FACE_SHADE[f];
+        FACE_COLORS[o] = Math.min(1, c.r * shade);
+        FACE_COLORS[o + 1] = Math.min(1, c.g * shade);
+        FACE_COLORS[o + 2] = Math.min(1, c.b * shade);
+        FACE_COLORS[o + 3] = c.a;
+      }
+    }
+  }
+  buildFaceColors();
+
+  // Each chunk gets one mesh per render layer that has faces. All chunks share the layer materials.
+  // Meshes are only drawn and picked; collision reads the voxel grid (voxel-physics.js).
+  const CHUNK_LAYERS = [
+    { name: "opaque", pickable: true, alpha: false, fullBright: false },
+    { name: "glass", pickable: true, alpha: true, fullBright: false },
+    { name: "emissive", pickable: true, alpha: false, fullBright: true },
+    { name: "liquid", pickable: false, alpha: true, fullBright: false },
+  ];
+
+  function layerOfBlock(t) {
+    if (t.emissive) return 2;
+    if (t.transparent) return t.solid ? 1 : 3;
+    return 0;
+  }
+
+  // Registry flattened into the tables the mesher (and its worker) understand.
+  const LAYER_OF = new Uint8Array(256);
+  const OPAQUE = new Uint8Array(256);
+  const UNLIT = new Uint8Array(256);
+  const PASSES_LIGHT = new Uint8Array(256);
+  const EMIT_LIGHT = new Uint8Array(256);
+  for (let b = 0; b < 256; b++) {
+    const t = blockInfo(b);
+    LAYER_OF[b] = b === BLOCK.AIR ? 0 : layerOfBlock(t);
+    OPAQUE[b] = b === BLOCK.AIR || t.transparent ? 0 : 1;
+    UNLIT[b] = t.emissive ? 1 : 0;
+    PASSES_LIGHT[b] = OPAQUE[b] ? 0 : 1;
+    EMIT_LIGHT[b] = Math.min(VoxelLight.MAX_LIGHT, t.light);
+  }
+
+  // One slot per placeable block type, in BLOCK enum order.
+  const PALETTE = Object.keys(BLOCK)
+    .filter((name) => BLOCK[name] !== BLOCK.AIR)
+    .map((name) => ({ name, id: BLOCK[name] }));
+
+  /** ---------------------------
+   *  Greedy mesher (chunk-mesher.js)
+   *  --------------------------- */
+  // Meshing works on chunk blocks plus a one-voxel border from the neighbours (the "padded" layout).
+  // main.js hands MESHER_OPTIONS to its meshing worker as well.
+  const MESHER_OPTIONS = {
+    chunkSize: CHUNK_SIZE,
+    faceColors: FACE_COLORS,
+    layerOf: LAYER_OF,
+    opaque: OPAQUE,
+    unlit: UNLIT,
+    layerCount: CHUNK_LAYERS.length,
+  };
+  const mesher = ChunkMesher.createMesher(MESHER_OPTIONS);
+  const PAD = mesher.PAD;
+  const pidx = mesher.pidx;
+
+  /** ---------------------------
+   *  Game modes
+   *  --------------------------- */
+  // Each mode lists the per-step systems the simulation runs (see SYSTEMS) plus its rules:
+  //   creepers     — hostile mobs exist at all
+  //   damage       — the player can be hurt
+  //   fly          — double-tap Jump to start or stop flying
+  //   instantBuild — blocks break at once, drop nothing and placing doesn't use up the inventory
+  //   gameOver     — death ends the run; the death screen starts a new one
+  //   score        — what the mode's high scores rank: "time" alive, "points" or blocks "built"
+  const GAME_MODES = {
+    sandbox: {
+      label: "Sandbox",
+      systems: ["spawner", "entities", "explosions", "dayNight", "runClock"],
+      creepers: true,
+      damage: true,
+      fly: false,
+      instantBuild: false,
+      gameOver: false,
+      score: "time",
+    },
+    creative: {
+      label: "Creative",
+      systems: ["entities", "explosions", "dayNight"],
+      creepers: false,
+      damage: false,
+      fly: true,
+      instantBuild: true,
+      gameOver: false,
+      score: "built",
+    },
+    survival: {
+      label: "Survival waves",
+      systems: ["waves", "entities", "explosions", "dayNight", "runClock"],
+      creepers: true,
+      damage: true,
+      fly: false,
+      instantBuild: false,
+      gameOver: true,
+      score: "points",
+    },
+  };
+
+  const isGameMode = (name) => Object.keys(GAME_MODES).includes(name);
+
+  /** ---------------------------
+   *  Simulation clock + shared tuning
+   *  --------------------------- */
+  // Gameplay advances in fixed SIM_DT steps (step()), so the same inputs play out the same game.
+  const SIM_HZ = 60;
+  const SIM_DT = 1 / SIM_HZ;
+
+  // The player preferences steps read, with their defaults; main.js's settings panel edits the same keys.
+  const STEP_SETTINGS = { lookSpeed: 1, invertY: false, lookDeadzone: 0.08, moveDeadzone: 0.12 };
+
+  const DEFAULT_CITY_SEED = "block-city";
+
+  // Columns of chunks load inside STREAM_LOAD_RADIUS and unload beyond STREAM_UNLOAD_RADIUS
+  // (in chunks, XZ); the gap stops chunks flickering in and out at the boundary.
+  const STREAM_LOAD_RADIUS = 5;
+  const STREAM_UNLOAD_RADIUS = 7;
+
+  const PLAYER_EYE_HEIGHT = 1.55;
+  const CAMERA_WALL_GAP = 0.3; // keep the near plane off the wall behind the camera
+  const PLAYER_MAX_HEALTH = 20;
+  const FALL_SAFE_SPEED = 12; // about a 4-block drop; jump landings are ~7
+  const CREEPER_FUSE_SEC = 1.25; // time within range before it goes off
+
+  // What a simulation tells (or asks) the page it runs in; createSimulation's `hooks` override any of these.
+  const NO_HOOKS = {
+    blockBroken: () => {}, // (blockId, cell) — the player broke a block
+    jumped: () => {},
+    landed: () => {}, // (impactSpeed) — the player came down, however gently
+    exploded: () => {}, // (pos, radius, destroyed) — a blast went off; destroyed is [x, y, z, block, ...]
+    hurt: () => {}, // (amount, cause) — the player lost health
+    died: () => {}, // (cause)
+    respawned: () => {},
+    runStarted: () => {}, // (run) — a run began; run.id and run.best belong to the page's high scores
+    otherPlayers: () => [], // positions of the other living players, for creepers to go after
+    guest: () => false, // true while another player's game simulates the mobs (a multiplayer guest)
+  };
+
+  /** ---------------------------
+   *  Inventory
+   *  --------------------------- */
+  // Stack counts per block id. serialize() gives plain JSON for the save file.
+  class Inventory {
+    constructor() {
+      this.counts = new Map();
+      this.onChange = null;
+    }
+
+    count(id) {
+      return this.counts.get(id) || 0;
+    }
+
+    add(id, n = 1) {
+      if (n <= 0) return;
+      this.counts.set(id, this.count(id) + n);
+      if (this.onChange) this.onChange();
+    }
+
+    // Removes n items if there are enough; returns whether it did.
+    take(id, n = 1) {
+      const have = this.count(id);
+      if (have < n) return false;
+      if (have === n) this.counts.delete(id);
+      else this.counts.set(id, have - n);
+      if (this.onChange) this.onChange();
+      return true;
+    }
+
+    serialize() {
+      const out = {};
+      for (const [id, n] of this.counts) out[id] = n;
+      return out;
+    }
+
+    load(data) {
+      this.counts.clear();
+      for (const k of Object.keys(data || {})) {
+        const id = Number(k);
+        const n = Math.floor(Number(data[k]));
+        if (Number.isInteger(id) && n > 0) this.counts.set(id, n);
+      }
+      if (this.onChange) this.onChange();
+    }
+  }
+
+  /** ---------------------------
+   *  Entities
+   *  --------------------------- */
+  // Entities expose: type, id, alive, mesh (positioned node), update(dt), dispose().
+  // Ones that take up space also have `shape` and feet() for VoxelPhysics.
+  class EntityManager {
+    constructor() {
+      this.list = [];
+      this.nextId = 1;
+    }
+
+    add(e) {
+      e.id = this.nextId++;
+      this.list.push(e);
+      return e;
+    }
+
+    // Removal is deferred to sweep() so entities can die mid-update safely.
+    remove(e) {
+      e.alive = false;
+    }
+
+    ofType(type) {
+      return this.list.filter((e) => e.alive && e.type === type);
+    }
+
+    count(type) {
+      let n = 0;
+      for (const e of this.list) if (e.alive && e.type === type) n++;
+      return n;
+    }
+
+    update(dt) {
+      for (const e of this.list) {
+        if (e.alive) e.update(dt);
+      }
+      this.sweep();
+    }
+
+    sweep() {
+      if (this.list.every((e) => e.alive)) return;
+      for (const e of this.list) if (!e.alive) e.dispose();
+      this.list = this.list.filter((e) => e.alive);
+    }
+
+    clear() {
+      for (const e of this.list) e.alive = false;
+      this.sweep();
+    }
+  }
+
+  class MinHeap {
+    constructor() {
+      this.items = [];
+    }
+
+    get size() {
+      return this.items.length;
+    }
+
+    push(item, priority) {
+      const a = this.items;
+      a.push({ item, priority });
+      let i = a.length - 1;
+      while (i > 0) {
+        const p = (i - 1) >> 1;
+        if (a[p].priority <= a[i].priority) break;
+        [a[p], a[i]] = [a[i], a[p]];
+        i = p;
+      }
+    }
+
+    pop() {
+      const a = this.items;
+      const top = a[0];
+      const last = a.pop();
+      if (a.length) {
+        a[0] = last;
+        let i = 0;
+        for (;;) {
+          const l = i * 2 + 1;
+          const r = l + 1;
+          let m = i;
+          if (l < a.length && a[l].priority < a[m].priority) m = l;
+          if (r < a.length && a[r].priority < a[m].priority) m = r;
+          if (m === i) break;
+          [a[m], a[i]] = [a[i], a[m]];
+          i = m;
+        }
+      }
+      return top.item;
+    }
+  }
+
+  /** ---------------------------
+   *  Save format
+   *  --------------------------- */
+  // Saves hold only chunks edited after generation, each as run-length pairs [block, count, ...].
+  // Each save version and the BUILD_VERSION that introduced it. A build that changes the layout adds the
+  // next version here under its own build, and a migration up to it, so older saves keep loading.
+  const SAVE_FORMATS = {
+    1: "v13", // edited chunks, player and creeper
+    2: "v14", // city seed
+    3: "v15", // any number of entities
+    4: "v16", // player inventory, item drops
+    5: "v19", // time of day
+    6: "v28", // city size
+  };
+  const SAVE_VERSION = Math.max(...Object.keys(SAVE_FORMATS).map(Number));
+
+  // SAVE_MIGRATIONS[n] upgrades a version-n save to version n+1; a version without one is dropped.
+  const SAVE_MIGRATIONS = {
+    // v13 saves predate seeds and were made on the default city, though on the old Math.sin layout. Their
+    // chunks come back as saved; the player, whose spot may be inside a building now, starts at spawn.
+    1: (save) => {
+      const sp = CityGen.createCityGenerator({ seed: DEFAULT_CITY_SEED, blocks: BLOCK }).spawnPoint();
+      const player = { x: sp.x, y: sp.y, z: sp.z };
+      return Object.assign({}, save, { version: 2, seed: DEFAULT_CITY_SEED, player, creeper: null });
+    },
+    // v14 saves had exactly one creeper (none, coming from v13). Their chunks come back as saved, edits
+    // and all, even where later district layouts put something else around them.
+    2: (save) => {
+      const entities = save.creeper ? [Object.assign({ type: "creeper" }, save.creeper)] : [];
+      const next = Object.assign({}, save, { version: 3, entities });
+      delete next.creeper;
+      return next;
+    },
+    // Builds v16 to v27 still wrote version 3, so the next three keep what those saves already hold.
+    3: (save) => Object.assign({}, save, { version: 4, player: Object.assign({ inventory: {} }, save.player) }),
+    // Null: no saved clock, the day starts at the game's usual hour.
+    4: (save) =>
+      Object.assign({}, save, { version: 5, timeOfDay: typeof save.timeOfDay === "number" ? save.timeOfDay : null }),
+    // Older saves shared the per-seed slot whatever the size; they count as unbounded, as nearly all were.
+    5: (save) =>
+      Object.assign({}, save, { version: 6, halfSize: typeof save.halfSize === "number" ? save.halfSize : null }),
+  };
+
+  function rleEncode(blocks) {
+    const out = [];
+    let run = blocks[0];
+    let n = 0;
+    for (let i = 0; i < blocks.length; i++) {
+      if (blocks[i] === run && n < 0xffff) {
+        n++;
+      } else {
+        out.push(run, n);
+        run = blocks[i];
+        n = 1;
+      }
+    }
+    out.push(run, n);
+    return Uint16Array.from(out);
+  }
+
+  function rleDecode(rle, out) {
+    let i = 0;
+    for (let j = 0; j + 1 < rle.length; j += 2) {
+      const n = rle[j + 1];
+      if (i + n > out.length) return false;
+      out.fill(rle[j], i, i + n);
+      i += n;
+    }
+    return i === out.length;
+  }
+
+  function migrateSave(save) {
+    if (!save || typeof save.version !== "number") return null;
+    if (save.version > SAVE_VERSION) return null; // written by a newer build
+    while (save.version < SAVE_VERSION) {
+      const step = SAVE_MIGRATIONS[save.version];
+      if (!step) return null;
+      save = step(save);
+    }
+    return save;
+  }
+
+  /**
+   * Creates a game on `options.engine` and returns its state and controls (see the end of this function).
+   * Other options, all optional:
+   *   seed      — city seed text
+   *   halfSize  — city half-extent in blocks (Infinity: unbounded)
+   *   mode      — a GAME_MODES name
+   *   dayLength — seconds in a full day
+   *   startHour — hour of the day to start at; when set, it also overrides the clock saves bring back
+   *   safeMode  — explosions leave a footing pad under the player
+   *   settings  — live player preferences with the STEP_SETTINGS keys, read by every step
+   *   build     — build tag written into saves
+   *   hooks     — see NO_HOOKS
+   * Nothing runs until the caller steps it; call startRun() once the page is ready for the first run.
+   */
+  function createSimulation(options) {
+    const opts = Object.assign(
+      {
+        seed: DEFAULT_CITY_SEED,
+        halfSize: CityGen.DEFAULTS.halfSize,
+        mode: "sandbox",
+        dayLength: 600,
+        startHour: null,
+        safeMode: false,
+        settings: STEP_SETTINGS,
+        build: "",
+      },
+      options
+    );
+    const hooks = Object.assign({}, NO_HOOKS, opts.hooks);
+    const settings = opts.settings;
+    const scene = new BABYLON.Scene(opts.engine);
+
+    /** ---------------------------
+     *  Voxel + Chunk System
+     *  --------------------------- */
+    const layerMaterials = CHUNK_LAYERS.map((layer) => {
+      const mat = new BABYLON.StandardMaterial(`chunkMat_${layer.name}`, scene);
+      mat.specularColor = new BABYLON.Color3(0.05, 0.05, 0.05);
+      mat.backFaceCulling = true;
+      mat.maxSimultaneousLights = 6; // sun, sky and the street lights near the player
+      // With lighting off the output is just the vertex colour.
+      if (layer.fullBright) mat.disableLighting = true;
+      return mat;
+    });
+
+    class Chunk {
+      constructor(world, cx, cy, cz) {
+        this.world = world;
+        this.cx = cx;
+        this.cy = cy;
+        this.cz = cz;
+        this.blocks = new Uint8Array(CHUNK_VOL);
+        this.light = new Uint8Array(CHUNK_VOL); // sky << 4 | block, filled by world.light; never saved
+        this.meshes = CHUNK_LAYERS.map(() => null); // one per render layer, null while it has no faces
+        this.dirty = true;
+        this.inQueue = false;
+        this.edited = false; // true once the player/explosions changed it after generation
+        this.disposed = false;
+        this.vertexCount = 0;
+        this.indexCount = 0;
+        this.revision = 0; // bumped on every markDirty; worker results for older revisions are stale
+        this.lastEdit = 0; // world.editCount at the last setBlock here (paths through older edits are stale)
+      }
+
+      getLocal(lx, ly, lz) {
+        if (lx < 0 || ly < 0 || lz < 0 || lx >= CHUNK_SIZE || ly >= CHUNK_SIZE || lz >= CHUNK_SIZE) return BLOCK.AIR;
+        return this.blocks[idx(lx, ly, lz)];
+      }
+
+      setLocal(lx, ly, lz, v) {
+        if (lx < 0 || ly < 0 || lz < 0 || lx >= CHUNK_SIZE || ly >= CHUNK_SIZE || lz >= CHUNK_SIZE) return;
+        this.blocks[idx(lx, ly, lz)] = v;
+      }
+
+      worldOrigin() {
+        return {
+          x: this.cx * CHUNK_SIZE,
+          y: this.cy * CHUNK_SIZE,
+          z: this.cz * CHUNK_SIZE,
+        };
+      }
+
+      // Meshes synchronously on this thread (startup, teleports, or when no worker is available).
+      rebuildMesh() {
+        mesher.mesh(this.world.paddedBlocks(this), this.worldOrigin(), this.world.paddedLight(this));
+        this.applyMesh(mesher.snapshot());
+      }
+
+      // Swaps in geometry from the mesher: one { vertexCount, indexCount, positions, normals, colors, indices }
+      // per render layer.
+      applyMesh(layers) {
+        let vertexCount = 0;
+        let indexCount = 0;
+        layers.forEach((geo, l) => {
+          vertexCount += geo.vertexCount;
+          indexCount += geo.indexCount;
+          this.applyLayer(l, geo);
+        });
+        this.world.trackMeshStats(this, vertexCount, indexCount);
+
+        this.dirty = false;
+        this.inQueue = false;
+      }
+
+      applyLayer(l, geo) {
+        const layer = CHUNK_LAYERS[l];
+        let mesh = this.meshes[l];
+
+        if (geo.vertexCount === 0) {
+          // No faces in this layer -> no mesh to draw or pick
+          if (mesh) mesh.dispose();
+          this.meshes[l] = null;
+          return;
+        }
+
+        if (!mesh) {
+          mesh = new BABYLON.Mesh(`chunk_${layer.name}_${this.cx}_${this.cy}_${this.cz}`, this.world.scene);
+          mesh.material = layerMaterials[l];
+          mesh.isPickable = layer.pickable;
+          mesh.hasVertexAlpha = layer.alpha;
+          mesh.metadata = { isChunk: true, cx: this.cx, cy: this.cy, cz: this.cz };
+          this.meshes[l] = mesh;
+        } else {
+          // wipe old geometry
+          mesh.geometry?.dispose();
+        }
+
+        const vd = new BABYLON.VertexData();
+        vd.positions = geo.positions;
+        vd.indices = geo.indices;
+        vd.normals = geo.normals;
+        vd.colors = geo.colors;
+        vd.applyToMesh(mesh, true);
+      }
+
+      // Frees GPU resources and block data once the chunk has been streamed out.
+      dispose() {
+        for (const mesh of this.meshes) mesh?.dispose(); // materials are shared per layer
+        this.meshes.fill(null);
+        this.world.trackMeshStats(this, 0, 0);
+        this.blocks = null;
+        this.light = null;
+        this.disposed = true;
+      }
+    }
+
+    class VoxelWorld {
+      constructor(scene, generate) {
+        this.scene = scene;
+        this.generate = generate || null; // fills a newly created chunk's blocks
+        this.chunks = new Map();
+        this.parked = new Map(); // key -> blocks of edited chunks that were streamed out
+        this.dirtyQueue = [];
+        this.dirtySet = new Set();
+        this.meshStats = { vertices: 0, indices: 0 }; // totals over loaded chunk meshes
+        this.paddedScratch = new Uint8Array(PAD * PAD * PAD);
+        this.paddedLightScratch = new Uint8Array(PAD * PAD * PAD);
+        this.meshWorker = null;
+        this.meshJobs = new Map(); // job id -> { chunk, revision }
+        this.nextMeshJobId = 1;
+        this.maxMeshJobs = 6; // in flight at once, so edits don't wait behind a long backlog
+        this.editCount = 0; // bumped by every setBlock
+        this.onEdit = null; // (x, y, z, block) after every setBlock; multiplayer forwards edits from here
+        this.light = VoxelLight.createLightEngine({
+          chunkSize: CHUNK_SIZE,
+          chunkAt: (cx, cy, cz) => this.getChunk(cx, cy, cz, false),
+          passes: PASSES_LIGHT,
+          emit: EMIT_LIGHT,
+          onChunkChanged: (c) => this.markDirty(c.cx, c.cy, c.cz),
+        });
+      }
+
+      // Routes rebuildSome through a chunk-mesher.js worker; falls back to main-thread meshing if it dies.
+      attachMeshWorker(worker) {
+        this.meshWorker = worker;
+        worker.onmessage = (e) => this.onMeshResult(e.data);
+        worker.onerror = (e) => {
+          console.warn("Mesh worker failed, meshing on the main thread:", e.message || e);
+          this.meshWorker = null;
+          for (const job of this.meshJobs.values()) this.markDirty(job.chunk.cx, job.chunk.cy, job.chunk.cz);
+          this.meshJobs.clear();
+        };
+      }
+
+      dispatchMeshJob(c) {
+        const id = this.nextMeshJobId++;
+        this.meshJobs.set(id, { chunk: c, revision: c.revision });
+        c.dirty = false;
+        c.inQueue = false;
+        const padded = this.paddedBlocks(c, new Uint8Array(PAD * PAD * PAD));
+        const light = this.paddedLight(c, new Uint8Array(PAD * PAD * PAD));
+        this.meshWorker.postMessage({ type: "mesh", id, padded, light, origin: c.worldOrigin() }, [
+          padded.buffer,
+          light.buffer,
+        ]);
+      }
+
+      onMeshResult(msg) {
+        const job = this.meshJobs.get(msg.id);
+        if (!job) return;
+        this.meshJobs.delete(msg.id);
+        const c = job.chunk;
+        // Edited (or unloaded) since the job left: a newer job is queued, so drop this one.
+        if (c.disposed || c.revision !== job.revision) return;
+        c.applyMesh(msg.layers);
+      }
+
+      // Keeps meshStats in step with a chunk's latest geometry.
+      trackMeshStats(c, vertexCount, indexCount) {
+        this.meshStats.vertices += vertexCount - c.vertexCount;
+        this.meshStats.indices += indexCount - c.indexCount;
+        c.vertexCount = vertexCount;
+        c.indexCount = indexCount;
+      }
+
+      // Chunk blocks with a one-voxel border read from neighbouring chunks (air where unloaded).
+      paddedBlocks(c, out = this.paddedScratch) {
+        return this.fillPadded(c, c.blocks, (x, y, z) => this.getBlock(x, y, z), out);
+      }
+
+      // Chunk light in the same layout (open sky where unloaded).
+      paddedLight(c, out = this.paddedLightScratch) {
+        return this.fillPadded(c, c.light, (x, y, z) => this.light.lightAt(x, y, z), out);
+      }
+
+      // Copies `src` (one of the chunk's per-voxel arrays) into the padded layout, reading the border with `read`.
+      fillPadded(c, src, read, out) {
+        const N = CHUNK_SIZE;
+        const ox = c.cx * N;
+        const oy = c.cy * N;
+        const oz = c.cz * N;
+        for (let lz = -1; lz <= N; lz++) {
+          for (let ly = -1; ly <= N; ly++) {
+            const inner = lz >= 0 && lz < N && ly >= 0 && ly < N;
+            if (inner) {
+              // Interior row in one copy, then just the two border cells.
+              const row = idx(0, ly, lz);
+              out.set(src.subarray(row, row + N), pidx(0, ly, lz));
+              out[pidx(-1, ly, lz)] = read(ox - 1, oy + ly, oz + lz);
+              out[pidx(N, ly, lz)] = read(ox + N, oy + ly, oz + lz);
+              continue;
+            }
+            for (let lx = -1; lx <= N; lx++) {
+              out[pidx(lx, ly, lz)] = read(ox + lx, oy + ly, oz + lz);
+            }
+          }
+        }
+        return out;
+      }
+
+      getChunk(cx, cy, cz, create = false) {
+        const k = key(cx, cy, cz);
+        let c = this.chunks.get(k);
+        if (!c && create) {
+          c = new Chunk(this, cx, cy, cz);
+          const parked = this.parked.get(k);
+          if (parked) {
+            c.blocks = parked;
+            c.edited = true;
+            this.parked.delete(k);
+          } else if (this.generate) {
+            this.generate(c);
+          }
+          this.chunks.set(k, c);
+        }
+        return c || null;
+      }
+
+      // Drops a chunk from memory; edited block data is parked so changes survive reloading it.
+      unloadChunk(c) {
+        const k = key(c.cx, c.cy, c.cz);
+        if (c.edited) this.parked.set(k, c.blocks);
+        this.chunks.delete(k);
+        this.dirtySet.delete(k);
+        c.dispose();
+      }
+
+      getBlock(x, y, z) {
+        const cx = floorDiv(x, CHUNK_SIZE);
+        const cy = floorDiv(y, CHUNK_SIZE);
+        const cz = floorDiv(z, CHUNK_SIZE);
+        const c = this.getChunk(cx, cy, cz, false);
+        if (!c) return BLOCK.AIR;
+        const lx = mod(x, CHUNK_SIZE);
+        const ly = mod(y, CHUNK_SIZE);
+        const lz = mod(z, CHUNK_SIZE);
+        return c.getLocal(lx, ly, lz);
+      }
+
+      setBlock(x, y, z, v) {
+        const cx = floorDiv(x, CHUNK_SIZE);
+        const cy = floorDiv(y, CHUNK_SIZE);
+        const cz = floorDiv(z, CHUNK_SIZE);
+        const fresh = !this.getChunk(cx, cy, cz, false);
+        const c = this.getChunk(cx, cy, cz, true);
+        const lx = mod(x, CHUNK_SIZE);
+        const ly = mod(y, CHUNK_SIZE);
+        const lz = mod(z, CHUNK_SIZE);
+        if (fresh) this.lightColumn(cx, cy, cz);
+        c.setLocal(lx, ly, lz, v);
+        c.edited = true;
+        c.lastEdit = ++this.editCount;
+
+        // A block on the chunk boundary shows up in the neighbours' faces and corner occlusion too.
+        const near = (l) => (l === 0 ? [0, -1] : l === CHUNK_SIZE - 1 ? [0, 1] : [0]);
+        for (const dz of near(lz)) {
+          for (const dy of near(ly)) {
+            for (const dx of near(lx)) this.markDirty(cx + dx, cy + dy, cz + dz);
+          }
+        }
+
+        this.light.updateBlock(x, y, z, v);
+        if (this.onEdit) this.onEdit(x, y, z, v);
+      }
+
+      markDirty(cx, cy, cz) {
+        const c = this.getChunk(cx, cy, cz, false);
+        if (!c) return;
+        c.dirty = true;
+        c.revision++;
+        const k = key(cx, cy, cz);
+        if (!this.dirtySet.has(k)) {
+          this.dirtySet.add(k);
+          c.inQueue = true;
+          this.dirtyQueue.push(c);
+        }
+      }
+
+      // Whole-chunk replacement (e.g. loading a save) changes every face, including neighbours' borders
+      // and the corner occlusion of the chunks diagonally next to it.
+      markChunkReplaced(cx, cy, cz) {
+        for (let dz = -1; dz <= 1; dz++) {
+          for (let dy = -1; dy <= 1; dy++) {
+            for (let dx = -1; dx <= 1; dx++) this.markDirty(cx + dx, cy + dy, cz + dz);
+          }
+        }
+      }
+
+      // Relights from scratch the unbroken stack of loaded chunks through (cx, cy, cz).
+      lightColumn(cx, cy, cz) {
+        let top = cy;
+        while (this.getChunk(cx, top + 1, cz, false)) top++;
+        const stack = [];
+        for (let y = top; this.getChunk(cx, y, cz, false); y--) stack.push(this.getChunk(cx, y, cz, false));
+        this.light.lightColumn(stack);
+      }
+
+      drainDirtyAll() {
+        while (this.dirtyQueue.length) {
+          const c = this.dirtyQueue.shift();
+          const k = key(c.cx, c.cy, c.cz);
+          this.dirtySet.delete(k);
+          if (c.dirty && !c.disposed) c.rebuildMesh();
+        }
+      }
+
+      rebuildSome(maxPerFrame = 2) {
+        let n = 0;
+        while (n < maxPerFrame && this.dirtyQueue.length) {
+          if (this.meshWorker && this.meshJobs.size >= this.maxMeshJobs) break;
+          const c = this.dirtyQueue.shift();
+          const k = key(c.cx, c.cy, c.cz);
+          this.dirtySet.delete(k);
+          if (c.dirty && !c.disposed) {
+            if (this.meshWorker) this.dispatchMeshJob(c);
+            else c.rebuildMesh();
+          }
+          n++;
+        }
+      }
+    }
+
+    /** ---------------------------
+     *  City generation (voxel data)
+     *  --------------------------- */
+    const cityGen = CityGen.createCityGenerator({ seed: opts.seed, halfSize: opts.halfSize, blocks: BLOCK });
+
+    // City dimensions in blocks (Infinity unless halfSize bounds it)
+    const CITY_HALF = cityGen.options.halfSize; // extends [-CITY_HALF..CITY_HALF)
+    const GROUND_Y = cityGen.options.groundY;
+
+    const world = new VoxelWorld(scene, (c) => cityGen.fillChunk(c.cx, c.cy, c.cz, CHUNK_SIZE, c.blocks));
+
+    /** ---------------------------
+     *  Chunk streaming around the player
+     *  --------------------------- */
+    const STREAM_START_RADIUS = 2; // built synchronously before the first frame
+    // Streaming runs in the fixed simulation step (which columns are loaded decides where creepers can spawn
+    // and stand), so this is per step: 60 columns a second, whatever the frame rate.
+    const STREAM_COLUMNS_PER_STEP = 1;
+    const STREAM_CY_MIN = floorDiv(GROUND_Y, CHUNK_SIZE);
+    const STREAM_CY_MAX = floorDiv(GROUND_Y + 32, CHUNK_SIZE); // tallest tower is 30 blocks
+
+    const stream = { cx: null, cz: null, queue: [] };
+
+    function loadColumn(cx, cz) {
+      for (let cy = STREAM_CY_MIN; cy <= STREAM_CY_MAX; cy++) {
+        if (world.getChunk(cx, cy, cz)) continue;
+        world.getChunk(cx, cy, cz, true);
+        world.markChunkReplaced(cx, cy, cz);
+      }
+      world.lightColumn(cx, STREAM_CY_MIN, cz);
+    }
+
+    function columnLoaded(cx, cz) {
+      return !!world.getChunk(cx, STREAM_CY_MIN, cz);
+    }
+
+    // Loads and meshes every column within `radius` chunks right away (startup, teleports).
+    function loadChunksNear(x, z, radius) {
+      const pcx = floorDiv(Math.floor(x), CHUNK_SIZE);
+      const pcz = floorDiv(Math.floor(z), CHUNK_SIZE);
+      for (let dz = -radius; dz <= radius; dz++) {
+        for (let dx = -radius; dx <= radius; dx++) {
+          if (dx * dx + dz * dz <= radius * radius) loadColumn(pcx + dx, pcz + dz);
+        }
+      }
+      world.drainDirtyAll();
+    }
+
+    function streamChunksAround(pos, maxColumns) {
+      const pcx = floorDiv(Math.floor(pos.x), CHUNK_SIZE);
+      const pcz = floorDiv(Math.floor(pos.z), CHUNK_SIZE);
+
+      if (pcx !== stream.cx || pcz !== stream.cz) {
+        stream.cx = pcx;
+        stream.cz = pcz;
+
+        // Missing columns, farthest first so the nearest pop off the end.
+        const r = STREAM_LOAD_RADIUS;
+        const wanted = [];
+        for (let dz = -r; dz <= r; dz++) {
+          for (let dx = -r; dx <= r; dx++) {
+            const d2 = dx * dx + dz * dz;
+            if (d2 <= r * r && !columnLoaded(pcx + dx, pcz + dz)) wanted.push({ cx: pcx + dx, cz: pcz + dz, d2 });
+          }
+        }
+        wanted.sort((a, b) => b.d2 - a.d2);
+        stream.queue = wanted;
+
+        const ur2 = STREAM_UNLOAD_RADIUS * STREAM_UNLOAD_RADIUS;
+        for (const c of world.chunks.values()) {
+          const dx = c.cx - pcx;
+          const dz = c.cz - pcz;
+          if (dx * dx + dz * dz > ur2) world.unloadChunk(c);
+        }
+      }
+
+      let n = 0;
+      while (n < maxColumns && stream.queue.length) {
+        const col = stream.queue.pop();
+        if (columnLoaded(col.cx, col.cz)) continue;
+        loadColumn(col.cx, col.cz);
+        n++;
+      }
+    }
+
+    // Loads exactly the columns streaming wants around the player, however the world got here.
+    function settleStreaming() {
+      const pcx = floorDiv(Math.floor(player.position.x), CHUNK_SIZE);
+      const pcz = floorDiv(Math.floor(player.position.z), CHUNK_SIZE);
+      const r2 = STREAM_LOAD_RADIUS * STREAM_LOAD_RADIUS;
+      for (const c of world.chunks.values()) {
+        const dx = c.cx - pcx;
+        const dz = c.cz - pcz;
+        if (dx * dx + dz * dz > r2) world.unloadChunk(c);
+      }
+      loadChunksNear(player.position.x, player.position.z, STREAM_LOAD_RADIUS);
+      stream.cx = pcx;
+      stream.cz = pcz;
+      stream.queue = [];
+    }
+
+    const citySpawn = cityGen.spawnPoint();
+    loadChunksNear(citySpawn.x, citySpawn.z, STREAM_START_RADIUS);
+
+    /** ---------------------------
+     *  Player (invisible capsule; collides as a box)
+     *  --------------------------- */
+    // position is the feet centre; VoxelPhysics moves PLAYER_SHAPE through the grid.
+    const PLAYER_SHAPE = { halfWidth: 0.3, height: 1.7 };
+    const PLAYER_STEP_HEIGHT = 1.0; // walk up kerbs and single crates without pressing Jump
+
+    const player = BABYLON.MeshBuilder.CreateCapsule(
+      "player",
+      { radius: 0.45, height: 1.7, tessellation: 8, subdivisions: 1 },
+      scene
+    );
+    player.isVisible = false;
+    player.position.set(citySpawn.x, citySpawn.y + 2, citySpawn.z + 8);
+
+    // Smooth movement
+    const move = {
+      vel: new BABYLON.Vector3(0, 0, 0),
+      wish: new BABYLON.Vector3(0, 0, 0),
+      grounded: false,
+      lastGroundedTime: 0,
+      flying: false, // creative only
+      lastJumpPress: -Infinity, // for the double-tap that toggles flying
+    };
+
+    // Where the player looks. The page's cameras follow it; aims and walking directions come from it.
+    //   yaw         — degrees around Y (the follow camera's rotationOffset)
+    //   pitch       — the follow camera's height above the feet
+    //   fpPitch     — first-person tilt in radians, positive looks down
+    //   zoom        — share of the full follow offset the camera may use (updateCameraZoom)
+    //   firstPerson — aim from the eye rather than along the follow camera's line of sight
+    const view = { yaw: 180, pitch: 4, fpPitch: 0, zoom: 1, firstPerson: false };
+
+    /** ---------------------------
+     *  Simulation clock + RNG
+     *  --------------------------- */
+    // sim.time is gameplay time in seconds; sim.rng is the seeded stream every gameplay roll draws from.
+    const sim = { tick: 0, time: 0, rng: { state: CityGen.hashSeed(`${cityGen.seedText}/sim`) } };
+
+    function nowSec() {
+      return sim.time;
+    }
+
+    // Gameplay randomness. Purely visual jitter (debris, camera shake, sound) stays in main.js on Math.random.
+    function random() {
+      return CityGen.nextRandom(sim.rng);
+    }
+
+    /** ---------------------------
+     *  Input
+     *  --------------------------- */
+    // Every device on the page writes into `input`; steps only read it.
+    //   move      — joystick-style vector, x right, y back (forward is -y), length <= 1
+    //   look      — joystick-style look rate in [-1, 1]
+    //   lookDelta — mouse movement in pixels since the last step (consumed by updateCameraLook)
+    //   jump      — set on press, cleared when updatePlayer consumes it
+    //   jumpHeld / descendHeld — held state, for flying up and down
+    //   breakHeld / placeHeld
+    //   respawn   — the death screen's button was pressed, cleared by the next step
+    const input = {
+      device: "touch",
+      move: { x: 0, y: 0 },
+      look: { x: 0, y: 0 },
+      lookDelta: { x: 0, y: 0 },
+      jump: false,
+      jumpHeld: false,
+      descendHeld: false,
+      breakHeld: false,
+      placeHeld: false,
+      respawn: false,
+    };
+
+    // Lets go of everything held, so nothing carries over into the next life.
+    function releaseInput() {
+      input.breakHeld = input.placeHeld = false;
+      input.jumpHeld = input.descendHeld = false;
+      input.jump = false;
+    }
+
+    /** ---------------------------
+     *  Game mode, inventory + hotbar slot
+     *  --------------------------- */
+    let modeName = isGameMode(opts.mode) ? opts.mode : "sandbox";
+
+    function currentMode() {
+      return GAME_MODES[modeName];
+    }
+
+    const inventory = new Inventory();
+
+    let selectedSlot = 0;
+
+    // Clamps to the palette; returns the slot now selected.
+    function selectSlot(i) {
+      selectedSlot = Math.max(0, Math.min(PALETTE.length - 1, i));
+      return selectedSlot;
+    }
+
+    function selectedBlock() {
+      return PALETTE[selectedSlot].id;
+    }
+
+    /** ---------------------------
+     *  Break / place actions (raycast through the crosshair)
+     *  --------------------------- */
+    // pickTargetVoxel() returns the voxel under the crosshair plus the face normal that was hit, or null.
+    const PICK_REACH = 32; // blocks from where the aim starts
+
+    // Aim from simulation state (view, player) rather than the rendered camera, so picks don't depend on
+    // frame timing: straight ahead in first person, along the follow camera's line of sight in third
+    // (main.js draws the camera on that same line, so the crosshair sits on what this picks).
+    function aimRay() {
+      const eye = player.position.add(new BABYLON.Vector3(0, PLAYER_EYE_HEIGHT, 0));
+      const yawRad = (view.yaw * Math.PI) / 180;
+      if (view.firstPerson) {
+        const c = Math.cos(view.fpPitch);
+        return {
+          origin: eye,
+          dir: new BABYLON.Vector3(-Math.sin(yawRad) * c, -Math.sin(view.fpPitch), -Math.cos(yawRad) * c),
+        };
+      }
+      const off = followOffset();
+      const cam = player.position.add(
+        new BABYLON.Vector3(Math.sin(yawRad) * off.radius, off.height, Math.cos(yawRad) * off.radius)
+      );
+      const dir = player.position.subtract(cam).normalize();
+      // Start level with the player's eye so blocks between the follow camera and the player can't be hit.
+      const along = Math.max(0, BABYLON.Vector3.Dot(eye.subtract(cam), dir));
+      return { origin: cam.add(dir.scale(along)), dir };
+    }
+
+    function pickTargetVoxel() {
+      const ray = aimRay();
+      return VoxelPhysics.raycast(ray.origin, ray.dir, PICK_REACH, isSolidAt);
+    }
+
+    function breakTargetVoxel(target = pickTargetVoxel()) {
+      if (!target) return false;
+
+      const b = world.getBlock(target.x, target.y, target.z);
+      if (!blockInfo(b).breakable) return false;
+      world.setBlock(target.x, target.y, target.z, BLOCK.AIR);
+      hooks.blockBroken(b, target);
+      if (!currentMode().instantBuild) dropBlockItems(target.x, target.y, target.z, b);
+      return true;
+    }
+
+    function placeTargetVoxel() {
+      const target = pickTargetVoxel();
+      if (!target) return false;
+
+      // Place against the face that was hit
+      const px = target.x + target.nx;
+      const py = target.y + target.ny;
+      const pz = target.z + target.nz;
+
+      if (isSolid(world.getBlock(px, py, pz))) return false; // air and water can be built into
+      if (VoxelPhysics.overlapsCell(player.position, PLAYER_SHAPE, px, py, pz)) return false;
+      if (entities.list.some((e) => e.alive && e.shape && VoxelPhysics.overlapsCell(e.feet(), e.shape, px, py, pz))) {
+        return false;
+      }
+      if (!currentMode().instantBuild && !inventory.take(selectedBlock(), 1)) return false;
+
+      world.setBlock(px, py, pz, selectedBlock());
+      if (currentMode().score === "built") run.score++;
+      return true;
+    }
+
+    /** ---------------------------
+     *  Mining: target outline + crack stages
+     *  --------------------------- */
+    // Holding Break mines the outlined voxel over hardness * MINE_SECONDS_PER_HARDNESS seconds;
+    // looking at a different voxel starts over.
+    const MINE_SECONDS_PER_HARDNESS = 0.6;
+    const CRACK_STAGES = 5;
+    const INSTANT_BREAK_REPEAT_SEC = 0.18; // creative: one block per this while Break is held
+
+    const CUBE_EDGES = [
+      [[0, 0, 0], [1, 0, 0]], [[1, 0, 0], [1, 0, 1]], [[1, 0, 1], [0, 0, 1]], [[0, 0, 1], [0, 0, 0]],
+      [[0, 1, 0], [1, 1, 0]], [[1, 1, 0], [1, 1, 1]], [[1, 1, 1], [0, 1, 1]], [[0, 1, 1], [0, 1, 0]],
+      [[0, 0, 0], [0, 1, 0]], [[1, 0, 0], [1, 1, 0]], [[1, 0, 1], [1, 1, 1]], [[0, 0, 1], [0, 1, 1]],
+    ];
+    const OUTLINE_GROW = 0.004; // keeps the outline just outside the faces so it never z-fights
+
+    const outlineCorner = (c) => -OUTLINE_GROW + c * (1 + OUTLINE_GROW * 2);
+    const targetOutline = BABYLON.MeshBuilder.CreateLineSystem(
+      "targetOutline",
+      {
+        lines: CUBE_EDGES.map((edge) =>
+          edge.map(([x, y, z]) => new BABYLON.Vector3(outlineCorner(x), outlineCorner(y), outlineCorner(z)))
+        ),
+      },
+      scene
+    );
+    targetOutline.color = new BABYLON.Color3(0.05, 0.05, 0.05);
+    targetOutline.isPickable = false;
+    targetOutline.setEnabled(false);
+
+    // Crack lines: a few jagged branches out from the centre of every face. Stage k draws the first
+    // k/CRACK_STAGES of each branch, so cracks visibly grow. Fixed seed: every block cracks the same way.
+    function buildCrackStages() {
+      const rand = CityGen.mulberry32(0xc7ac);
+      const faces = [];
+      for (let a = 0; a < 3; a++) {
+        for (const s of [1, -1]) {
+          const branches = [];
+          for (let k = 0; k < 4; k++) {
+            let ang = (k / 4) * Math.PI * 2 + rand() * 0.9;
+            let u = 0;
+            let v = 0;
+            const pts = [[u, v]];
+            for (let step = 0; step < CRACK_STAGES; step++) {
+              ang += (rand() - 0.5) * 1.2;
+              u = Math.max(-0.47, Math.min(0.47, u + Math.cos(ang) * 0.1));
+              v = Math.max(-0.47, Math.min(0.47, v + Math.sin(ang) * 0.1));
+              pts.push([u, v]);
+            }
+            branches.push(pts);
+          }
+          faces.push({ a, s, branches });
+        }
+      }
+
+      const toWorld = (a, s, u, v) => {
+        const p = [0.5, 0.5, 0.5];
+        p[a] = 0.5 + s * (0.5 + OUTLINE_GROW);
+        p[(a + 1) % 3] = 0.5 + u;
+        p[(a + 2) % 3] = 0.5 + v;
+        return new BABYLON.Vector3(p[0], p[1], p[2]);
+      };
+
+      const stages = [];
+      for (let stage = 1; stage <= CRACK_STAGES; stage++) {
+        const lines = [];
+        for (const f of faces) {
+          for (const pts of f.branches) lines.push(pts.slice(0, stage + 1).map(([u, v]) => toWorld(f.a, f.s, u, v)));
+        }
+        const mesh = BABYLON.MeshBuilder.CreateLineSystem(`crackStage${stage}`, { lines }, scene);
+        mesh.color = new BABYLON.Color3(0.08, 0.06, 0.05);
+        mesh.isPickable = false;
+        mesh.setEnabled(false);
+        stages.push(mesh);
+      }
+      return stages;
+    }
+    const crackStages = buildCrackStages();
+
+    const mining = { key: null, progress: 0, stage: -1, repeat: 0 };
+
+    function showCrackStage(stage, target) {
+      if (mining.stage >= 0 && mining.stage !== stage) crackStages[mining.stage].setEnabled(false);
+      mining.stage = stage;
+      if (stage < 0) return;
+      crackStages[stage].position.set(target.x, target.y, target.z);
+      crackStages[stage].setEnabled(true);
+    }
+
+    function resetMining() {
+      mining.key = null;
+      mining.progress = 0;
+      mining.repeat = 0;
+      showCrackStage(-1);
+    }
+
+    // Called once a step with the voxel under the crosshair (or null).
+    function updateMining(target, breaking, dt) {
+      if (target) targetOutline.position.set(target.x, target.y, target.z);
+      targetOutline.setEnabled(!!target);
+
+      if (!target || !breaking) {
+        resetMining();
+        return;
+      }
+      const info = blockInfo(world.getBlock(target.x, target.y, target.z));
+      if (!info.breakable) {
+        resetMining();
+        return;
+      }
+
+      if (currentMode().instantBuild) {
+        mining.repeat -= dt;
+        if (mining.repeat <= 0) {
+          breakTargetVoxel(target);
+          mining.repeat = INSTANT_BREAK_REPEAT_SEC;
+        }
+        return;
+      }
+
+      const k = key(target.x, target.y, target.z);
+      if (k !== mining.key) {
+        resetMining();
+        mining.key = k;
+      }
+
+      mining.progress += dt / Math.max(0.05, info.hardness * MINE_SECONDS_PER_HARDNESS);
+      if (mining.progress >= 1) {
+        breakTargetVoxel(target);
+        resetMining();
+        return;
+      }
+      showCrackStage(Math.min(CRACK_STAGES - 1, Math.floor(mining.progress * CRACK_STAGES)), target);
+    }
+
+    /** ---------------------------
+     *  Creeper-like enemy (shared visuals)
+     *  --------------------------- */
+    // Each creeper is an invisible collider plus instances of two merged source meshes (green body,
+    // dark face), so any number of creepers costs two draw calls.
+    const creeperMat = new BABYLON.StandardMaterial("creeperMat", scene);
+    creeperMat.diffuseColor = new BABYLON.Color3(0.2, 0.75, 0.25);
+    creeperMat.specularColor = new BABYLON.Color3(0.05, 0.05, 0.05);
+
+    const creeperDarkMat = new BABYLON.StandardMaterial("creeperDarkMat", scene);
+    creeperDarkMat.diffuseColor = new BABYLON.Color3(0.06, 0.12, 0.06);
+    creeperDarkMat.specularColor = new BABYLON.Color3(0, 0, 0);
+
+    function makeCreeperPart(name, size, x, y, z) {
+      const part = BABYLON.MeshBuilder.CreateBox(name, size, scene);
+      part.position.set(x, y, z);
+      return part;
+    }
+
+    const creeperBodySrc = BABYLON.Mesh.MergeMeshes(
+      [
+        makeCreeperPart("creeperTorso", { width: 0.78, height: 1.2, depth: 0.62 }, 0, 0.2, 0),
+        makeCreeperPart("creeperHead", { size: 0.82 }, 0, 1.2, 0),
+        makeCreeperPart("creeperFootL", { width: 0.32, height: 0.75, depth: 0.32 }, -0.2, -0.75, 0),
+        makeCreeperPart("creeperFootR", { width: 0.32, height: 0.75, depth: 0.32 }, 0.2, -0.75, 0),
+      ],
+      true
+    );
+    creeperBodySrc.name = "creeperBodySrc";
+    creeperBodySrc.material = creeperMat;
+
+    // Blocky frowny face on the front of the head.
+    const faceParts = [
+      [-0.16, 1.32, 0.43, 0.12, 0.12, 0.04],
+      [0.16, 1.32, 0.43, 0.12, 0.12, 0.04],
+      [0.0, 1.05, 0.43, 0.14, 0.16, 0.04],
+      [-0.1, 0.96, 0.43, 0.12, 0.08, 0.04],
+      [0.1, 0.96, 0.43, 0.12, 0.08, 0.04],
+    ];
+    const creeperFaceSrc = BABYLON.Mesh.MergeMeshes(
+      faceParts.map(([x, y, z, w, h, d]) => makeCreeperPart("creeperFacePart", { width: w, height: h, depth: d }, x, y, z)),
+      true
+    );
+    creeperFaceSrc.name = "creeperFaceSrc";
+    creeperFaceSrc.material = creeperDarkMat;
+
+    for (const src of [creeperBodySrc, creeperFaceSrc]) {
+      src.isPickable = false;
+      src.isVisible = false; // only the instances render
+    }
+
+    // Applies one blast now: breaks blocks the falloff overpowers, primes TNT, hurts the player.
+    function explosionAt(pos, radius) {
+      const cx = Math.floor(pos.x);
+      const cy = Math.floor(pos.y);
+      const cz = Math.floor(pos.z);
+      const r = Math.ceil(radius);
+
+      // Safe mode keeps a small support pad under the player so explosions never drop us.
+      const safe = opts.safeMode;
+      const supportY = Math.floor(player.position.y - 0.9);
+      const supportX = Math.floor(player.position.x);
+      const supportZ = Math.floor(player.position.z);
+
+      const destroyed = [];
+
+      for (let z = cz - r; z <= cz + r; z++) {
+        for (let y = cy - r; y <= cy + r; y++) {
+          for (let x = cx - r; x <= cx + r; x++) {
+            const dist = Math.hypot(x - cx, y - cy, z - cz);
+            if (dist > radius) continue;
+
+            // Preserve a 3x3 footing area directly beneath the player.
+            const inPlayerPad =
+              safe && y === supportY && Math.abs(x - supportX) <= 1 && Math.abs(z - supportZ) <= 1;
+            if (inPlayerPad) continue;
+
+            const b = world.getBlock(x, y, z);
+            if (b === BLOCK.AIR) continue;
+            if (radius - dist <= blockInfo(b).blastResistance) continue;
+
+            world.setBlock(x, y, z, BLOCK.AIR);
+            if (b === BLOCK.TNT) primeTnt(x, y, z, TNT_CHAIN_FUSE + dist * 0.05);
+            else destroyed.push(x, y, z, b);
+            if (b === BLOCK.CRATE) dropCrateLoot(x, y, z);
+          }
+        }
+      }
+
+      if (safe) {
+        // Reassert support pad in case the area was already damaged by earlier blasts.
+        for (let z = supportZ - 1; z <= supportZ + 1; z++) {
+          for (let x = supportX - 1; x <= supportX + 1; x++) {
+            world.setBlock(x, supportY, z, BLOCK.ROAD);
+          }
+        }
+
+        // Keep vertical momentum from carrying us downward right after the blast.
+        if (move.vel.y < 0) move.vel.y = 0;
+        move.grounded = true;
+        move.lastGroundedTime = nowSec();
+      }
+
+      hurtPlayerByExplosion(pos, radius);
+      hooks.exploded(pos, radius, destroyed); // debris, sound, shake and the other players
+    }
+
+    /** ---------------------------
+     *  Explosion queue + TNT
+     *  --------------------------- */
+    // Blasts go through a queue so a long TNT chain detonates over several steps instead of one.
+    const MAX_EXPLOSIONS_PER_STEP = 2;
+    const TNT_RADIUS = 4;
+    const TNT_CHAIN_FUSE = 0.45; // seconds; further TNT goes off a little later, so chains ripple outward
+
+    const explosionQueue = []; // { pos, radius, at, visual }
+
+    function queueExplosion(pos, radius, delay = 0) {
+      explosionQueue.push({ pos: pos.clone(), radius, at: nowSec() + delay, visual: null });
+    }
+
+    const tntMat = new BABYLON.StandardMaterial("tntMat", scene);
+    tntMat.diffuseColor = new BABYLON.Color3(0.82, 0.2, 0.16);
+    tntMat.emissiveColor = new BABYLON.Color3(0.5, 0.1, 0.05);
+    const tntSrc = BABYLON.MeshBuilder.CreateBox("tntSrc", { size: 0.98 }, scene);
+    tntSrc.material = tntMat;
+    tntSrc.isPickable = false;
+    tntSrc.isVisible = false; // only the primed instances render
+
+    // Lit TNT leaves the grid and blinks where it was until its fuse runs out.
+    function primeTnt(x, y, z, fuse) {
+      const pos = new BABYLON.Vector3(x + 0.5, y + 0.5, z + 0.5);
+      queueExplosion(pos, TNT_RADIUS, fuse);
+      const visual = tntSrc.createInstance("tntPrimed");
+      visual.position.copyFrom(pos);
+      explosionQueue[explosionQueue.length - 1].visual = visual;
+    }
+
+    // Pending blasts as plain data, with `in` seconds to go; TNT is rebuilt blinking where it was.
+    function serializeExplosions() {
+      return explosionQueue.map((ex) => ({
+        x: ex.pos.x,
+        y: ex.pos.y,
+        z: ex.pos.z,
+        radius: ex.radius,
+        in: ex.at - nowSec(),
+        tnt: !!ex.visual,
+      }));
+    }
+
+    function restoreExplosions(list) {
+      for (const ex of explosionQueue) if (ex.visual) ex.visual.dispose();
+      explosionQueue.length = 0;
+      for (const ex of list) {
+        if (ex.tnt) primeTnt(Math.floor(ex.x), Math.floor(ex.y), Math.floor(ex.z), ex.in);
+        else queueExplosion(new BABYLON.Vector3(ex.x, ex.y, ex.z), ex.radius, ex.in);
+      }
+    }
+
+    function processExplosions() {
+      const t = nowSec();
+      let done = 0;
+      for (let i = 0; i < explosionQueue.length; ) {
+        const ex = explosionQueue[i];
+        if (ex.visual) ex.visual.isVisible = Math.floor((ex.at - t) * 8) % 2 === 0;
+        if (ex.at > t || done >= MAX_EXPLOSIONS_PER_STEP) {
+          i++;
+          continue;
+        }
+        explosionQueue.splice(i, 1);
+        if (ex.visual) ex.visual.dispose();
+        explosionAt(ex.pos, ex.radius);
+        done++;
+      }
+    }
+
+    /** ---------------------------
+     *  Movement + Camera look
+     *  --------------------------- */
+    const CAMERA_RADIUS = 10; // follow distance when nothing is in the way
+    const MOUSE_YAW_PER_PX = 0.15; // degrees
+    const MOUSE_PITCH_PER_PX = 0.012; // heightOffset units
+    const FP_PITCH_PER_OFFSET = 0.2; // radians of first-person tilt per heightOffset unit of look input
+    const FP_PITCH_LIMIT = 1.45;
+
+    function updateCameraLook(dt) {
+      const lookX = input.look.x;
+      const lookY = input.look.y;
+
+      // deadzone
+      const dz = settings.lookDeadzone;
+      const lx = Math.abs(lookX) < dz ? 0 : lookX;
+      const ly = Math.abs(lookY) < dz ? 0 : lookY;
+
+      // sensitivity tuned for iPad thumb at lookSpeed 1
+      const speed = settings.lookSpeed;
+      const flipY = settings.invertY ? -1 : 1;
+      view.yaw += lx * 140 * speed * dt;
+      let pitch = -ly * 6.0 * speed * flipY * dt;
+
+      // mouse deltas are already a distance, not a rate
+      view.yaw += input.lookDelta.x * MOUSE_YAW_PER_PX * speed;
+      pitch -= input.lookDelta.y * MOUSE_PITCH_PER_PX * speed * flipY;
+      input.lookDelta.x = 0;
+      input.lookDelta.y = 0;
+
+      // Pushing up raises the follow camera, or in first person the player's gaze.
+      if (view.firstPerson) {
+        view.fpPitch = Math.max(-FP_PITCH_LIMIT, Math.min(FP_PITCH_LIMIT, view.fpPitch - pitch * FP_PITCH_PER_OFFSET));
+      } else {
+        // clamp pitch (heightOffset)
+        view.pitch = Math.max(2.0, Math.min(7.5, view.pitch + pitch));
+      }
+    }
+
+    // Follow-camera collision: voxels between the player's eye and the camera pull it in at once,
+    // then it eases back out once the way clears.
+    const CAMERA_EASE_OUT_PER_SEC = 2.5;
+
+    // A simulation step: aims depend on the zoom, so it moves in fixed steps with everything else.
+    function updateCameraZoom(dt) {
+      const eye = player.position.add(new BABYLON.Vector3(0, PLAYER_EYE_HEIGHT, 0));
+      const yawRad = (view.yaw * Math.PI) / 180;
+      const want = player.position.add(
+        new BABYLON.Vector3(Math.sin(yawRad) * CAMERA_RADIUS, view.pitch, Math.cos(yawRad) * CAMERA_RADIUS)
+      );
+      const toWant = want.subtract(eye);
+      const len = toWant.length();
+      const hit = VoxelPhysics.raycast(eye, toWant.scale(1 / len), len, isSolidAt);
+      const fit = hit ? Math.max(0, (hit.dist - CAMERA_WALL_GAP) / len) : 1;
+      if (fit < view.zoom) view.zoom = fit;
+      else view.zoom += (fit - view.zoom) * (1 - Math.exp(-CAMERA_EASE_OUT_PER_SEC * dt));
+    }
+
+    // The follow camera's distance behind the player and height above its feet. The zoom shrinks the
+    // offset towards the eye rather than the feet, along the line updateCameraZoom tests.
+    function followOffset() {
+      return {
+        radius: CAMERA_RADIUS * view.zoom,
+        height: PLAYER_EYE_HEIGHT + (view.pitch - PLAYER_EYE_HEIGHT) * view.zoom,
+      };
+    }
+
+    function cameraForwardXZ() {
+      // Convert yaw to forward vector (world)
+      const yawRad = (view.yaw * Math.PI) / 180;
+      // FollowCamera rotationOffset is degrees around Y; forward is opposite of camera-to-target vector
+      // We'll define "forward" as facing where the camera looks (from player perspective).
+      const fx = -Math.sin(yawRad);
+      const fz = -Math.cos(yawRad);
+      const v = new BABYLON.Vector3(fx, 0, fz);
+      v.normalize();
+      return v;
+    }
+
+    function cameraRightXZ() {
+      const f = cameraForwardXZ();
+      const r = new BABYLON.Vector3(f.z, 0, -f.x);
+      r.normalize();
+      return r;
+    }
+
+    const FLY_TOGGLE_SEC = 0.3;
+    const FLY_VERTICAL_SPEED = 6;
+
+    function playerCenter() {
+      return player.position.add(new BABYLON.Vector3(0, PLAYER_SHAPE.height / 2, 0));
+    }
+
+    function updatePlayer(dt) {
+      // Wish direction from the move input in camera space
+      const inX = input.move.x;
+      const inY = input.move.y;
+
+      const deadzone = settings.moveDeadzone;
+      const ax = Math.abs(inX) < deadzone ? 0 : inX;
+      const ay = Math.abs(inY) < deadzone ? 0 : inY;
+
+      const f = cameraForwardXZ();
+      const r = cameraRightXZ();
+
+      move.wish.copyFrom(f.scale(-ay)).addInPlace(r.scale(ax));
+      const wishLen = move.wish.length();
+      if (wishLen > 1e-3) move.wish.scaleInPlace(1 / Math.max(1, wishLen)); // normalize max 1
+
+      const speed = move.flying ? 8.5 : 5.2; // blocks/sec
+      const accel = 18.0;
+      const friction = 12.0;
+
+      // horizontal velocity
+      const hv = new BABYLON.Vector3(move.vel.x, 0, move.vel.z);
+
+      if (wishLen < 1e-3) {
+        // friction
+        const drop = friction * dt;
+        const newLen = Math.max(0, hv.length() - drop);
+        if (hv.length() > 1e-3) hv.scaleInPlace(newLen / hv.length());
+      } else {
+        // accelerate toward wish
+        const desired = move.wish.scale(speed);
+        const delta = desired.subtract(hv);
+        const maxStep = accel * dt;
+        const dlen = delta.length();
+        if (dlen > maxStep) delta.scaleInPlace(maxStep / dlen);
+        hv.addInPlace(delta);
+      }
+
+      move.vel.x = hv.x;
+      move.vel.z = hv.z;
+
+      // Creative: a second Jump soon after the first toggles flying.
+      if (input.jump && currentMode().fly) {
+        const t = nowSec();
+        if (t - move.lastJumpPress <= FLY_TOGGLE_SEC) {
+          move.flying = !move.flying;
+          move.lastJumpPress = -Infinity;
+          input.jump = false;
+          move.vel.y = 0;
+        } else {
+          move.lastJumpPress = t;
+        }
+      }
+
+      if (move.flying) {
+        // Hover; Jump held rises, Descend held sinks.
+        input.jump = false;
+        move.vel.y = ((input.jumpHeld ? 1 : 0) - (input.descendHeld ? 1 : 0)) * FLY_VERTICAL_SPEED;
+      } else {
+        // gravity
+        const grav = -18.5;
+        move.vel.y += grav * dt;
+
+        // jump (with small coyote time)
+        const coyote = 0.12;
+        if (input.jump) {
+          input.jump = false;
+          if (move.grounded || nowSec() - move.lastGroundedTime <= coyote) {
+            move.vel.y = 7.2;
+            hooks.jumped();
+          }
+        }
+      }
+
+      // Move through the voxel grid; grounded/ceiling come back from the solver
+      const hit = VoxelPhysics.moveBox(player.position, PLAYER_SHAPE, move.vel.scale(dt), isSolidAt, {
+        stepHeight: PLAYER_STEP_HEIGHT,
+      });
+
+      // Landing: vel.y still holds the fall speed that was just stopped.
+      if (hit.grounded && !move.grounded) onPlayerLanded(-move.vel.y);
+      if (hit.grounded && move.flying && move.vel.y < 0) move.flying = false; // sank onto the ground
+      move.grounded = hit.grounded;
+      if (hit.grounded) move.lastGroundedTime = nowSec();
+
+      if ((hit.grounded && move.vel.y < 0) || (hit.ceiling && move.vel.y > 0)) move.vel.y = 0;
+      if (hit.hitX) move.vel.x = 0;
+      if (hit.hitZ) move.vel.z = 0;
+    }
+
+    /** ---------------------------
+     *  Player health, damage + respawn
+     *  --------------------------- */
+    const FALL_DAMAGE_PER_SPEED = 1.0; // health per block/sec above FALL_SAFE_SPEED
+    const EXPLOSION_DAMAGE_PER_RADIUS = 4; // damage at the centre = radius * this
+    const RESPAWN_INVULNERABLE_SEC = 2;
+
+    const playerState = {
+      health: PLAYER_MAX_HEALTH,
+      dead: false,
+      invulnerableUntil: 0,
+    };
+
+    function damagePlayer(amount, cause) {
+      if (!currentMode().damage || playerState.dead || amount <= 0 || nowSec() < playerState.invulnerableUntil) return;
+      playerState.health = Math.max(0, playerState.health - amount);
+      hooks.hurt(amount, cause);
+      if (playerState.health <= 0) killPlayer(cause);
+    }
+
+    // Also used for the other players' blasts, whose blocks arrive as edits.
+    function hurtPlayerByExplosion(pos, radius) {
+      const center = playerCenter();
+      const away = center.subtract(pos);
+      const dist = away.length();
+      const reach = radius * 2;
+      if (dist >= reach) return;
+
+      const falloff = 1 - dist / reach;
+      damagePlayer(Math.ceil(radius * EXPLOSION_DAMAGE_PER_RADIUS * falloff), "explosion");
+
+      // Knockback: away from the blast and a little upward.
+      away.y = 0;
+      if (away.lengthSquared() > 1e-4) away.normalize();
+      move.vel.addInPlace(away.scale(9 * falloff));
+      move.vel.y = Math.max(move.vel.y, 5 * falloff);
+    }
+
+    function onPlayerLanded(impactSpeed) {
+      hooks.landed(impactSpeed);
+      if (impactSpeed <= FALL_SAFE_SPEED) return;
+      damagePlayer(Math.ceil((impactSpeed - FALL_SAFE_SPEED) * FALL_DAMAGE_PER_SPEED), "fall");
+    }
+
+    function killPlayer(cause) {
+      playerState.dead = true;
+      move.vel.set(0, 0, 0);
+      releaseInput();
+      hooks.died(cause);
+    }
+
+    // Nearest column to the city spawn point with room to stand, searching outward a few blocks.
+    function findSafeSpawn() {
+      const sp = cityGen.spawnPoint();
+      loadChunksNear(sp.x, sp.z, STREAM_START_RADIUS);
+      const bx = Math.floor(sp.x);
+      const bz = Math.floor(sp.z);
+      for (let r = 0; r <= 8; r++) {
+        for (let dz = -r; dz <= r; dz++) {
+          for (let dx = -r; dx <= r; dx++) {
+            if (Math.max(Math.abs(dx), Math.abs(dz)) !== r) continue; // ring only
+            const y = findStandingY(bx + dx, bz + dz);
+            if (y !== null) return { x: bx + dx + 0.5, y, z: bz + dz + 0.5 };
+          }
+        }
+      }
+      // Everything around spawn is blown away: patch the road back.
+      world.setBlock(bx, GROUND_Y, bz, BLOCK.ROAD);
+      world.drainDirtyAll();
+      return { x: bx + 0.5, y: GROUND_Y + 1, z: bz + 0.5 };
+    }
+
+    function respawnPlayer() {
+      const sp = findSafeSpawn();
+      player.position.set(sp.x, sp.y + 0.1, sp.z);
+      move.vel.set(0, 0, 0);
+      move.grounded = false;
+
+      // Don't respawn into the creeper that just got us.
+      for (const e of entities.ofType("creeper")) {
+        if (distXZ(e.mesh.position, player.position) < SPAWN_RULES.minPlayerDist) entities.remove(e);
+      }
+
+      playerState.health = PLAYER_MAX_HEALTH;
+      playerState.dead = false;
+      playerState.invulnerableUntil = nowSec() + RESPAWN_INVULNERABLE_SEC;
+      startRun();
+      hooks.respawned();
+    }
+
+    const entities = new EntityManager();
+
+    /** ---------------------------
+     *  Voxel pathfinding (A*)
+     *  --------------------------- */
+    // Nodes are "feet" cells a 2-block-tall mob can stand in: solid below, two air cells.
+    // Moves: walk to a neighbouring column (diagonals without corner cutting), step up one block,
+    // or drop down up to PATH_MAX_DROP blocks.
+    const PATH_MAX_DROP = 3;
+    const PATH_MAX_EXPANSIONS = 1500; // bounds the per-call cost; unreachable goals give a partial path
+    const PATH_DIRS = [
+      [1, 0], [-1, 0], [0, 1], [0, -1],
+      [1, 1], [1, -1], [-1, 1], [-1, -1],
+    ];
+
+    function isSolidAt(x, y, z) {
+      return isSolid(world.getBlock(x, y, z));
+    }
+
+    function canStand(x, y, z) {
+      return isSolidAt(x, y - 1, z) && !isSolidAt(x, y, z) && !isSolidAt(x, y + 1, z);
+    }
+
+    function pathKey(x, y, z) {
+      return `${x},${y},${z}`;
+    }
+
+    // Feet cell under a world position, settling up to `maxDrop` blocks onto ground; null if none.
+    function standCellAt(pos, maxDrop) {
+      const x = Math.floor(pos.x);
+      const z = Math.floor(pos.z);
+      const y0 = Math.floor(pos.y + 0.05);
+      for (let y = y0; y >= y0 - maxDrop; y--) {
+        if (canStand(x, y, z)) return { x, y, z };
+      }
+      return null;
+    }
+
+    function forEachPathNeighbor(x, y, z, visit) {
+      for (const [dx, dz] of PATH_DIRS) {
+        const nx = x + dx;
+        const nz = z + dz;
+        const diagonal = dx !== 0 && dz !== 0;
+        if (diagonal) {
+          // Both cardinal cells must be open, or the collider would clip the corner.
+          if (isSolidAt(nx, y, z) || isSolidAt(nx, y + 1, z) || isSolidAt(x, y, nz) || isSolidAt(x, y + 1, nz)) continue;
+        }
+        const base = diagonal ? Math.SQRT2 : 1;
+
+        if (canStand(nx, y, nz)) {
+          visit(nx, y, nz, base);
+          continue;
+        }
+        // Step up: needs headroom above our own cell for the hop.
+        if (!diagonal && !isSolidAt(x, y + 2, z) && canStand(nx, y + 1, nz)) {
+          visit(nx, y + 1, nz, base + 0.5);
+          continue;
+        }
+        // Drop down through open air.
+        if (isSolidAt(nx, y, nz) || isSolidAt(nx, y + 1, nz)) continue;
+        for (let d = 1; d <= PATH_MAX_DROP; d++) {
+          if (isSolidAt(nx, y - d, nz)) break;
+          if (canStand(nx, y - d, nz)) {
+            visit(nx, y - d, nz, base + 0.3 * d);
+            break;
+          }
+        }
+      }
+    }
+
+    // Wraps a list of feet cells with what is needed to notice it going stale.
+    function makePath(nodes, goal) {
+      const chunks = new Set();
+      for (const n of nodes) {
+        chunks.add(key(floorDiv(n.x, CHUNK_SIZE), floorDiv(n.y, CHUNK_SIZE), floorDiv(n.z, CHUNK_SIZE)));
+        chunks.add(key(floorDiv(n.x, CHUNK_SIZE), floorDiv(n.y - 1, CHUNK_SIZE), floorDiv(n.z, CHUNK_SIZE)));
+      }
+      return { nodes, i: 0, goal, chunks, computedAt: world.editCount };
+    }
+
+    // A path is stale once a chunk it crosses was edited (or unloaded) after it was computed.
+    function pathStale(path) {
+      for (const k of path.chunks) {
+        const c = world.chunks.get(k);
+        if (!c || c.lastEdit > path.computedAt) return true;
+      }
+      return false;
+    }
+
+    function reconstructPath(cameFrom, endKey, nodeOf) {
+      const nodes = [];
+      for (let k = endKey; cameFrom.has(k); k = cameFrom.get(k)) nodes.push(nodeOf.get(k));
+      return nodes.reverse();
+    }
+
+    // A* from feet cell `start` to feet cell `goal`. If the goal can't be reached within the
+    // expansion budget, returns a path to the explored cell closest to it.
+    function findPath(start, goal) {
+      const h = (x, y, z) => Math.hypot(x - goal.x, z - goal.z) + Math.abs(y - goal.y);
+      const startKey = pathKey(start.x, start.y, start.z);
+      const goalKey = pathKey(goal.x, goal.y, goal.z);
+      const open = new MinHeap();
+      const g = new Map([[startKey, 0]]);
+      const cameFrom = new Map();
+      const nodeOf = new Map([[startKey, start]]);
+      const closed = new Set();
+
+      let bestKey = startKey;
+      let bestH = h(start.x, start.y, start.z);
+      open.push(startKey, bestH);
+
+      let expansions = 0;
+      while (open.size && expansions < PATH_MAX_EXPANSIONS) {
+        const curKey = open.pop();
+        if (closed.has(curKey)) continue;
+        closed.add(curKey);
+        expansions++;
+        if (curKey === goalKey) {
+          bestKey = curKey;
+          break;
+        }
+
+        const cur = nodeOf.get(curKey);
+        const curG = g.get(curKey);
+        forEachPathNeighbor(cur.x, cur.y, cur.z, (nx, ny, nz, cost) => {
+          const k = pathKey(nx, ny, nz);
+          if (closed.has(k)) return;
+          const ng = curG + cost;
+          if (g.has(k) && g.get(k) <= ng) return;
+          g.set(k, ng);
+          cameFrom.set(k, curKey);
+          if (!nodeOf.has(k)) nodeOf.set(k, { x: nx, y: ny, z: nz });
+          const nh = h(nx, ny, nz);
+          if (nh < bestH) {
+            bestH = nh;
+            bestKey = k;
+          }
+          open.push(k, ng + nh);
+        });
+      }
+
+      if (bestKey === startKey) return null;
+      return makePath(reconstructPath(cameFrom, bestKey, nodeOf), goal);
+    }
+
+    // Path to a random cell reachable from `start` within `maxNodes` of breadth-first search.
+    function randomReachablePath(start, maxNodes, minDist) {
+      const startKey = pathKey(start.x, start.y, start.z);
+      const cameFrom = new Map();
+      const nodeOf = new Map([[startKey, start]]);
+      const queue = [startKey];
+      const candidates = [];
+
+      for (let qi = 0; qi < queue.length && nodeOf.size < maxNodes; qi++) {
+        const cur = nodeOf.get(queue[qi]);
+        forEachPathNeighbor(cur.x, cur.y, cur.z, (nx, ny, nz) => {
+          const k = pathKey(nx, ny, nz);
+          if (nodeOf.has(k)) return;
+          nodeOf.set(k, { x: nx, y: ny, z: nz });
+          cameFrom.set(k, queue[qi]);
+          queue.push(k);
+          if (Math.hypot(nx - start.x, nz - start.z) >= minDist) candidates.push(k);
+        });
+      }
+
+      if (!candidates.length) return null;
+      const pick = candidates[Math.floor(random() * candidates.length)];
+      return makePath(reconstructPath(cameFrom, pick, nodeOf), nodeOf.get(pick));
+    }
+
+    /** ---------------------------
+     *  Creeper AI update
+     *  --------------------------- */
+    const CREEPER_SHAPE = { halfWidth: 0.4, height: 1.9 };
+
+    // Creepers go for whichever living player is closest, local or remote.
+    function nearestPlayerPos(from) {
+      let best = player.position;
+      let bestD = playerState.dead ? Infinity : distXZ(from, best);
+      for (const pos of hooks.otherPlayers()) {
+        const d = distXZ(from, pos);
+        if (d < bestD) {
+          best = pos;
+          bestD = d;
+        }
+      }
+      return best;
+    }
+
+    class Creeper {
+      constructor(x, y, z) {
+        this.type = "creeper";
+        this.id = 0;
+        this.alive = true;
+
+        // Invisible box at the collision bounds + instanced blocky visuals.
+        this.shape = CREEPER_SHAPE;
+        this.mesh = BABYLON.MeshBuilder.CreateBox("creeper", { width: 0.85, height: 2.0, depth: 0.85 }, scene);
+        this.mesh.position.set(x, y, z);
+        this.mesh.isPickable = false;
+        this.mesh.isVisible = false;
+
+        this.visualRoot = new BABYLON.TransformNode("creeperVisualRoot", scene);
+        this.visualRoot.parent = this.mesh;
+        this.body = creeperBodySrc.createInstance("creeperBody");
+        this.face = creeperFaceSrc.createInstance("creeperFace");
+        for (const inst of [this.body, this.face]) {
+          inst.parent = this.visualRoot;
+          inst.isPickable = false;
+        }
+
+        this.state = {
+          dir: new BABYLON.Vector3(1, 0, 0),
+          nextWanderAt: 0,
+          fuse: 0,
+          chasing: false,
+          velY: 0,
+          path: null,
+          repathAt: 0,
+          stuckCheckAt: 0,
+          stuckFrom: new BABYLON.Vector3(x, y, z),
+        };
+      }
+
+      feetY() {
+        return this.mesh.position.y - 1; // mesh is centred and 2 blocks tall
+      }
+
+      feet() {
+        const p = this.mesh.position;
+        return new BABYLON.Vector3(p.x, this.feetY(), p.z);
+      }
+
+      // Steers toward the current waypoint; returns the XZ direction to walk (zero when done).
+      followPath(dir) {
+        const st = this.state;
+        const p = this.mesh.position;
+        dir.set(0, 0, 0);
+        const path = st.path;
+        if (!path) return;
+
+        while (path.i < path.nodes.length) {
+          const n = path.nodes[path.i];
+          const dx = n.x + 0.5 - p.x;
+          const dz = n.z + 0.5 - p.z;
+          if (dx * dx + dz * dz > 0.3 * 0.3 || Math.abs(this.feetY() - n.y) > 0.6) {
+            dir.set(dx, 0, dz);
+            dir.normalize();
+            return; // steps up are climbed by the collision solver
+          }
+          path.i++;
+        }
+        st.path = null;
+      }
+
+      // Drops paths that stopped making progress (blocked by something the grid didn't predict).
+      checkStuck(t) {
+        const st = this.state;
+        if (t < st.stuckCheckAt) return;
+        const p = this.mesh.position;
+        if (st.path && distXZ(p, st.stuckFrom) < 0.3) {
+          st.path = null;
+          st.nextWanderAt = 0;
+        }
+        st.stuckFrom.copyFrom(p);
+        st.stuckCheckAt = t + 1.0;
+      }
+
+      // Swells in pulses while the fuse burns (also drives multiplayer proxies from the host's fuse).
+      showFuse() {
+        const fuse = this.state.fuse;
+        const pulse = fuse > 0 ? 0.5 + 0.5 * Math.sin(fuse * 18) : 0;
+        this.visualRoot.scaling.setAll(1 + pulse * 0.08);
+      }
+
+      update(dt) {
+        const st = this.state;
+        const cPos = this.mesh.position;
+        const playerPos = nearestPlayerPos(cPos);
+
+        const toPlayer = playerPos.subtract(cPos);
+        const dist = Math.sqrt(toPlayer.x * toPlayer.x + toPlayer.z * toPlayer.z); // XZ distance
+
+        const chaseRange = 14;
+        const explodeRange = 2.1;
+        const directRange = 2.5; // close enough to walk straight at the player
+        const speedWander = 1.6;
+        const speedChase = 2.6;
+
+        const t = nowSec();
+        const wasChasing = st.chasing;
+        st.chasing = dist < chaseRange;
+        if (st.chasing !== wasChasing) st.path = null;
+        this.checkStuck(t);
+
+        const dir = st.dir;
+        let speed = speedWander;
+
+        if (!st.chasing) {
+          // wander to a random cell we can actually reach
+          if (!st.path || t >= st.nextWanderAt || pathStale(st.path)) {
+            st.nextWanderAt = t + 4 + random() * 3;
+            const start = standCellAt(new BABYLON.Vector3(cPos.x, this.feetY(), cPos.z), 1);
+            st.path = start ? randomReachablePath(start, 250, 4) : null;
+          }
+          this.followPath(dir);
+          st.fuse = 0;
+        } else {
+          // chase along a path, re-planned as the player moves or the blocks change
+          speed = speedChase;
+          if (dist < directRange) {
+            dir.set(toPlayer.x, 0, toPlayer.z);
+            dir.normalize();
+          } else {
+            const goal = standCellAt(playerPos, 4);
+            const goalMoved = goal && st.path && Math.hypot(goal.x - st.path.goal.x, goal.z - st.path.goal.z) > 1.5;
+            if (goal && (!st.path || goalMoved || t >= st.repathAt || pathStale(st.path))) {
+              st.repathAt = t + 0.75;
+              const start = standCellAt(new BABYLON.Vector3(cPos.x, this.feetY(), cPos.z), 1);
+              st.path = start ? findPath(start, goal) : null;
+            }
+            this.followPath(dir);
+          }
+
+          // fuse/explosion
+          if (dist < explodeRange) {
+            st.fuse += dt;
+            this.showFuse(); // visual "about to explode" cue
+
+            if (st.fuse >= CREEPER_FUSE_SEC) {
+              // explode: remove voxels within radius; the spawner brings in a replacement
+              queueExplosion(this.mesh.position, 4);
+              entities.remove(this);
+              return;
+            }
+          } else {
+            st.fuse = Math.max(0, st.fuse - dt * 0.8);
+            this.visualRoot.scaling.setAll(1);
+          }
+        }
+
+        // gravity
+        st.velY -= 18.5 * dt;
+
+        const step = new BABYLON.Vector3(dir.x * speed * dt, st.velY * dt, dir.z * speed * dt);
+        const feet = this.feet();
+        const hit = VoxelPhysics.moveBox(feet, CREEPER_SHAPE, step, isSolidAt, { stepHeight: 1.0 });
+        this.mesh.position.set(feet.x, feet.y + 1, feet.z);
+        if ((hit.grounded && st.velY < 0) || (hit.ceiling && st.velY > 0)) st.velY = 0;
+        if (dir.lengthSquared() > 1e-4) this.visualRoot.rotation.y = Math.atan2(dir.x, dir.z);
+
+        // Fell out of the world through a crater.
+        if (cPos.y < GROUND_Y - 16) entities.remove(this);
+      }
+
+      dispose() {
+        this.body.dispose();
+        this.face.dispose();
+        this.visualRoot.dispose();
+        this.mesh.dispose();
+      }
+    }
+
+    /** ---------------------------
+     *  Item drops
+     *  --------------------------- */
+    // A dropped stack: a small block that falls, rests on the ground and bobs until the player walks into it.
+    // `mesh` is an untransformed anchor at the resting position; the visible cube bobs under it.
+    const ITEM_SIZE = 0.3;
+    const ITEM_PICKUP_RANGE = 1.3;
+    const ITEM_PICKUP_DELAY = 0.4; // seconds, so a fresh drop visibly pops out first
+    const ITEM_LIFETIME = 300;
+
+    // Loot rolls for a broken crate: each entry drops min..max with the given chance.
+    const CRATE_LOOT = [
+      { id: BLOCK.CRATE, chance: 0.5, min: 1, max: 1 },
+      { id: BLOCK.TNT, chance: 0.35, min: 1, max: 2 },
+      { id: BLOCK.BUILDING, chance: 0.6, min: 2, max: 5 },
+      { id: BLOCK.GRASS, chance: 0.3, min: 1, max: 3 },
+    ];
+
+    // One hidden source cube per block id; drops are instances of it.
+    const itemSources = new Map();
+    function itemSourceFor(id) {
+      let src = itemSources.get(id);
+      if (src) return src;
+      const c = COLOR[id] || new BABYLON.Color4(1, 1, 1, 1);
+      const mat = new BABYLON.StandardMaterial(`itemMat${id}`, scene);
+      mat.diffuseColor = new BABYLON.Color3(c.r, c.g, c.b);
+      mat.specularColor = new BABYLON.Color3(0.05, 0.05, 0.05);
+      src = BABYLON.MeshBuilder.CreateBox(`itemSrc${id}`, { size: ITEM_SIZE }, scene);
+      src.material = mat;
+      src.isPickable = false;
+      src.isVisible = false;
+      itemSources.set(id, src);
+      return src;
+    }
+
+    class ItemDrop {
+      constructor(x, y, z, blockId, count = 1) {
+        this.type = "item";
+        this.id = 0;
+        this.alive = true;
+        this.blockId = blockId;
+        this.count = count;
+
+        this.mesh = new BABYLON.TransformNode("item", scene);
+        this.mesh.position.set(x, y, z);
+        this.visual = itemSourceFor(blockId).createInstance("itemDrop");
+        this.visual.parent = this.mesh;
+        this.visual.isPickable = false;
+
+        this.vel = new BABYLON.Vector3((random() - 0.5) * 2, 3, (random() - 0.5) * 2);
+        this.age = 0;
+        this.bobPhase = random() * Math.PI * 2;
+      }
+
+      update(dt) {
+        this.age += dt;
+        const p = this.mesh.position;
+        const half = ITEM_SIZE / 2;
+
+        // Fall and slide, stopping against voxels.
+        this.vel.y -= 18.5 * dt;
+        const nx = p.x + this.vel.x * dt;
+        const nz = p.z + this.vel.z * dt;
+        if (isSolidAt(Math.floor(nx), Math.floor(p.y), Math.floor(nz))) {
+          this.vel.x = this.vel.z = 0;
+        } else {
+          p.x = nx;
+          p.z = nz;
+        }
+
+        const ny = p.y + this.vel.y * dt;
+        const floorY = Math.floor(ny - half);
+        if (this.vel.y < 0 && isSolidAt(Math.floor(p.x), floorY, Math.floor(p.z))) {
+          p.y = floorY + 1 + half;
+          this.vel.set(0, 0, 0);
+        } else {
+          p.y = ny;
+        }
+
+        this.visual.position.y = 0.1 + Math.sin(this.age * 3 + this.bobPhase) * 0.08;
+        this.visual.rotation.y += dt * 1.5;
+
+        const center = playerCenter();
+        if (!playerState.dead && this.age > ITEM_PICKUP_DELAY && BABYLON.Vector3.Distance(center, p) < ITEM_PICKUP_RANGE) {
+          inventory.add(this.blockId, this.count);
+          entities.remove(this);
+          return;
+        }
+
+        if (this.age > ITEM_LIFETIME || p.y < GROUND_Y - 16) entities.remove(this);
+      }
+
+      serialize() {
+        return { blockId: this.blockId, count: this.count };
+      }
+
+      dispose() {
+        this.visual.dispose();
+        this.mesh.dispose();
+      }
+    }
+
+    function dropItem(x, y, z, blockId, count) {
+      entities.add(new ItemDrop(x + 0.5, y + 0.5, z + 0.5, blockId, count));
+    }
+
+    // What breaking a block by hand yields: crates roll loot, everything else drops itself.
+    function dropBlockItems(x, y, z, blockId) {
+      if (blockId === BLOCK.AIR) return;
+      if (blockId === BLOCK.CRATE) dropCrateLoot(x, y, z);
+      else dropItem(x, y, z, blockId, 1);
+    }
+
+    function dropCrateLoot(x, y, z) {
+      for (const loot of CRATE_LOOT) {
+        if (random() >= loot.chance) continue;
+        dropItem(x, y, z, loot.id, loot.min + Math.floor(random() * (loot.max - loot.min + 1)));
+      }
+    }
+
+    // Rebuilds saved entities by type; add new mob types here. `data` is the entity's saved record.
+    const ENTITY_FACTORIES = {
+      creeper: (x, y, z) => new Creeper(x, y, z),
+      item: (x, y, z, data) => new ItemDrop(x, y, z, data.blockId, data.count),
+    };
+
+    /** ---------------------------
+     *  Creeper spawner
+     *  --------------------------- */
+    const SPAWN_RULES = {
+      maxCreepers: 5,
+      maxCreepersNight: 9,
+      minPlayerDist: 18, // never pop in right next to the player
+      maxPlayerDist: 40,
+      despawnDist: 72, // inside STREAM_LOAD_RADIUS, so live creepers always stand on loaded chunks
+      interval: 2.5, // seconds between spawn attempts
+      intervalNight: 1.0,
+    };
+    let spawnTimer = 0;
+
+    function distXZ(a, b) {
+      return Math.hypot(a.x - b.x, a.z - b.z);
+    }
+
+    // Top of the highest solid block in the column with two air blocks above it, or null.
+    function findStandingY(x, z) {
+      const top = (STREAM_CY_MAX + 1) * CHUNK_SIZE - 1;
+      const bottom = STREAM_CY_MIN * CHUNK_SIZE;
+      for (let y = top - 2; y >= bottom; y--) {
+        if (!isSolid(world.getBlock(x, y, z))) continue;
+        const clear = !isSolid(world.getBlock(x, y + 1, z)) && !isSolid(world.getBlock(x, y + 2, z));
+        return clear ? y + 1 : null;
+      }
+      return null;
+    }
+
+    function findCreeperSpawn() {
+      const r = SPAWN_RULES;
+      for (let tries = 0; tries < 12; tries++) {
+        const ang = random() * Math.PI * 2;
+        const dist = r.minPlayerDist + random() * (r.maxPlayerDist - r.minPlayerDist);
+        const x = Math.floor(player.position.x + Math.cos(ang) * dist);
+        const z = Math.floor(player.position.z + Math.sin(ang) * dist);
+        if (!columnLoaded(floorDiv(x, CHUNK_SIZE), floorDiv(z, CHUNK_SIZE))) continue;
+
+        const y = findStandingY(x, z);
+        if (y === null) continue;
+        return { x: x + 0.5, y: y + 1, z: z + 0.5 }; // creeper mesh is centred, 2 blocks tall
+      }
+      return null;
+    }
+
+    function updateSpawner(dt) {
+      for (const e of entities.ofType("creeper")) {
+        if (distXZ(e.mesh.position, player.position) > SPAWN_RULES.despawnDist) entities.remove(e);
+      }
+
+      const night = isNight();
+      spawnTimer -= dt;
+      if (spawnTimer > 0) return;
+      spawnTimer = night ? SPAWN_RULES.intervalNight : SPAWN_RULES.interval;
+
+      if (entities.count("creeper") >= (night ? SPAWN_RULES.maxCreepersNight : SPAWN_RULES.maxCreepers)) return;
+      const p = findCreeperSpawn();
+      if (p) entities.add(new Creeper(p.x, p.y, p.z));
+    }
+
+    /** ---------------------------
+     *  Runs + survival waves
+     *  --------------------------- */
+    // A run lasts from (re)spawning or picking a mode until death or the next mode switch.
+    const WAVE_RULES = {
+      firstWave: 3, // creepers in wave 1
+      perWave: 2, // extra creepers each wave after that
+      breather: 6, // seconds before each wave
+      spawnInterval: 0.8, // seconds between spawns within a wave
+      creeperPoints: 100, // per creeper that goes off or falls out of the world
+      waveBonus: 250, // times the wave number, for clearing it
+    };
+
+    const run = { id: 0, score: 0, elapsed: 0, wave: 0, toSpawn: 0, spawnTimer: 0, breather: 0, lastLive: 0, best: 0 };
+
+    function updateWaves(dt) {
+      // Stragglers are sent back in rather than lost, so a wave can always be cleared.
+      for (const e of entities.ofType("creeper")) {
+        if (distXZ(e.mesh.position, player.position) <= SPAWN_RULES.despawnDist) continue;
+        entities.remove(e);
+        run.toSpawn++;
+        run.lastLive--;
+      }
+      let live = entities.count("creeper");
+      if (live < run.lastLive) run.score += (run.lastLive - live) * WAVE_RULES.creeperPoints;
+
+      if (run.breather > 0) {
+        run.breather -= dt;
+        if (run.breather <= 0) {
+          run.wave++;
+          run.toSpawn = WAVE_RULES.firstWave + (run.wave - 1) * WAVE_RULES.perWave;
+          run.spawnTimer = 0;
+        }
+      } else if (run.toSpawn > 0) {
+        run.spawnTimer -= dt;
+        if (run.spawnTimer <= 0) {
+          run.spawnTimer = WAVE_RULES.spawnInterval;
+          const p = findCreeperSpawn();
+          if (p) {
+            entities.add(new Creeper(p.x, p.y, p.z));
+            run.toSpawn--;
+            live++;
+          }
+        }
+      } else if (live === 0) {
+        run.score += WAVE_RULES.waveBonus * run.wave;
+        run.breather = WAVE_RULES.breather;
+      }
+      run.lastLive = live;
+    }
+
+    // Everything a mode can run each step, by the names GAME_MODES lists. Host-only systems create
+    // mobs, which guests get from the host instead.
+    const SYSTEMS = {
+      spawner: { update: updateSpawner, hostOnly: true },
+      waves: { update: updateWaves, hostOnly: true },
+      entities: { update: (dt) => entities.update(dt) },
+      explosions: { update: processExplosions },
+      dayNight: { update: updateDayNight },
+      runClock: {
+        update: (dt) => {
+          run.elapsed += dt;
+        },
+      },
+    };
+
+    function runScore() {
+      return currentMode().score === "time" ? Math.floor(run.elapsed) : run.score;
+    }
+
+    function startRun() {
+      const mode = currentMode();
+      if (!mode.creepers || mode.gameOver) {
+        for (const e of entities.ofType("creeper")) entities.remove(e);
+      }
+      Object.assign(run, {
+        score: 0,
+        elapsed: 0,
+        wave: 0,
+        toSpawn: 0,
+        spawnTimer: 0,
+        breather: WAVE_RULES.breather,
+        lastLive: 0,
+      });
+      move.flying = false;
+      hooks.runStarted(run);
+    }
+
+    // Switches mode and starts its first run (respawning first if the player is dead).
+    function setMode(name) {
+      if (!isGameMode(name) || name === modeName) return;
+      modeName = name;
+      if (playerState.dead) respawnPlayer();
+      else startRun();
+    }
+
+    /** ---------------------------
+     *  Day / night clock
+     *  --------------------------- */
+    // dayNight.time runs 0..1 from midnight to midnight (0.25 sunrise, 0.5 noon, 0.75 sunset);
+    // main.js lights the scene from it.
+    const START_HOUR = opts.startHour === null ? 8 : opts.startHour;
+
+    const dayNight = {
+      time: (((START_HOUR / 24) % 1) + 1) % 1,
+      daylight: 1, // 0 at night .. 1 in full day
+    };
+
+    function isNight() {
+      return dayNight.daylight < 0.3;
+    }
+
+    function smoothstep(a, b, x) {
+      const t = Math.max(0, Math.min(1, (x - a) / (b - a)));
+      return t * t * (3 - 2 * t);
+    }
+
+    function updateDayNight(dt) {
+      dayNight.time = (dayNight.time + dt / opts.dayLength) % 1;
+      const sunY = Math.sin((dayNight.time - 0.25) * Math.PI * 2);
+      dayNight.daylight = smoothstep(-0.1, 0.25, sunY);
+    }
+
+    /** ---------------------------
+     *  World save data
+     *  --------------------------- */
+    // Every chunk edited since generation as { cx, cy, cz, rle }.
+    function serializeChunks() {
+      const chunks = [];
+      for (const c of world.chunks.values()) {
+        if (!c.edited) continue;
+        chunks.push({ cx: c.cx, cy: c.cy, cz: c.cz, rle: rleEncode(c.blocks) });
+      }
+      // Edited chunks that were streamed out still belong in the save.
+      for (const [k, blocks] of world.parked) {
+        const [cx, cy, cz] = k.split(",").map(Number);
+        chunks.push({ cx, cy, cz, rle: rleEncode(blocks) });
+      }
+      return chunks;
+    }
+
+    function serializeWorld() {
+      const chunks = serializeChunks();
+      return {
+        version: SAVE_VERSION,
+        build: opts.build,
+        seed: cityGen.seedText,
+        savedAt: Date.now(),
+        timeOfDay: dayNight.time,
+        halfSize: Number.isFinite(CITY_HALF) ? CITY_HALF : null,
+        player: {
+          x: player.position.x,
+          y: player.position.y,
+          z: player.position.z,
+          health: playerState.health,
+          inventory: inventory.serialize(),
+        },
+        entities: entities.list
+          .filter((e) => e.alive)
+          .map((e) =>
+            Object.assign(
+              { type: e.type, x: e.mesh.position.x, y: e.mesh.position.y, z: e.mesh.position.z },
+              e.serialize ? e.serialize() : null
+            )
+          ),
+        chunks,
+      };
+    }
+
+    // Swaps in saved chunk data (from a save or a multiplayer host); unloaded chunks are parked for later.
+    function applyChunks(list) {
+      const relight = new Map(); // one loaded chunk per replaced column
+      for (const s of list) {
+        const blocks = new Uint8Array(CHUNK_VOL);
+        if (!rleDecode(s.rle, blocks)) continue; // skip corrupt chunk, keep generated data
+        const c = world.getChunk(s.cx, s.cy, s.cz, false);
+        if (!c) {
+          // Not streamed in yet; getChunk picks it up from here when it is.
+          world.parked.set(key(s.cx, s.cy, s.cz), blocks);
+          continue;
+        }
+        c.blocks = blocks;
+        c.edited = true;
+        world.markChunkReplaced(s.cx, s.cy, s.cz);
+        relight.set(`${s.cx},${s.cz}`, c);
+      }
+      for (const c of relight.values()) world.lightColumn(c.cx, c.cy, c.cz);
+    }
+
+    // Takes a migrated save for this city (see migrateSave).
+    function applySave(save) {
+      applyChunks(save.chunks);
+      // Build the ground under the restored position before the player can fall through it.
+      loadChunksNear(save.player.x, save.player.z, STREAM_START_RADIUS);
+      player.position.set(save.player.x, save.player.y, save.player.z);
+      move.vel.set(0, 0, 0);
+      // Older saves have no health; a saved dead player comes back full rather than stuck on the death screen.
+      playerState.health = save.player.health > 0 ? save.player.health : PLAYER_MAX_HEALTH;
+      inventory.load(save.player.inventory);
+      // An explicit startHour wins over the saved clock.
+      if (typeof save.timeOfDay === "number" && opts.startHour === null) dayNight.time = save.timeOfDay % 1;
+      entities.clear();
+      for (const e of save.entities) {
+        const make = ENTITY_FACTORIES[e.type];
+        if (make) entities.add(make(e.x, e.y, e.z, e));
+      }
+    }
+
+    /** ---------------------------
+     *  Simulation step
+     *  --------------------------- */
+    // Place cooldown to avoid placing too many blocks per second by holding
+    let placeCooldown = 0;
+
+    // One fixed step of gameplay. It never renders or reads the wall clock, so the same inputs, seed and
+    // starting state always give the same result, in the browser or under BABYLON.NullEngine.
+    function step(dt = SIM_DT) {
+      updateCameraLook(dt);
+
+      // The world waits on the death screen until the player respawns.
+      const alive = !playerState.dead;
+      if (!alive && (input.jump || input.respawn)) {
+        // Jump doubles as Respawn for keyboard and gamepad players.
+        input.jump = false;
+        respawnPlayer();
+      }
+      input.respawn = false;
+      if (alive) {
+        updatePlayer(dt);
+        for (const name of currentMode().systems) {
+          const system = SYSTEMS[name];
+          if (!(system.hostOnly && hooks.guest())) system.update(dt); // guests see the host's creepers
+        }
+      }
+      if (!view.firstPerson) updateCameraZoom(dt);
+
+      // Outline the voxel under the crosshair; hold-to-break mines it over time
+      updateMining(alive ? pickTargetVoxel() : null, alive && input.breakHeld, dt);
+
+      // Hold-to-place, slow enough that towers stay controllable
+      placeCooldown -= dt;
+      if (alive && input.placeHeld && placeCooldown <= 0) {
+        const did = placeTargetVoxel();
+        if (did) placeCooldown = currentMode().instantBuild ? 0.12 : 0.22;
+        else placeCooldown = 0.06;
+      }
+
+      // Stream chunks in/out around the player; meshes are rebuilt per frame, outside the simulation
+      streamChunksAround(player.position, STREAM_COLUMNS_PER_STEP);
+
+      sim.tick++;
+      sim.time += dt;
+    }
+
+    /** ---------------------------
+     *  Snapshots + state checks
+     *  --------------------------- */
+    // Everything a diverging game shows up in sooner or later. `player` and `creepers` are only there to
+    // make a mismatch readable.
+    function stateCheck() {
+      const p = player.position;
+      const parts = [sim.rng.state, p.x, p.y, p.z, move.vel.x, move.vel.y, move.vel.z, playerState.health, playerState.dead];
+      parts.push(run.score, JSON.stringify(inventory.serialize()));
+      for (const e of entities.list) {
+        if (e.alive) parts.push(e.type, e.mesh.position.x, e.mesh.position.y, e.mesh.position.z);
+      }
+      return {
+        tick: sim.tick,
+        hash: CityGen.hashSeed(parts.join(",")),
+        player: [p.x, p.y, p.z].map((v) => Number(v.toFixed(2))),
+        creepers: entities.count("creeper"),
+      };
+    }
+
+    // The whole game as JSON-friendly data: a save plus everything a save leaves out that the next steps
+    // depend on. A living player only; replays start from these.
+    function snapshot() {
+      const save = serializeWorld();
+      save.chunks = save.chunks.map((c) => Object.assign(c, { rle: Array.from(c.rle) }));
+      return {
+        tick: sim.tick,
+        time: sim.time,
+        rng: sim.rng.state,
+        save,
+        daylight: dayNight.daylight,
+        move: {
+          vel: [move.vel.x, move.vel.y, move.vel.z],
+          grounded: move.grounded,
+          lastGroundedTime: move.lastGroundedTime,
+          flying: move.flying,
+          lastJumpPress: Number.isFinite(move.lastJumpPress) ? move.lastJumpPress : null,
+        },
+        invulnerableUntil: playerState.invulnerableUntil,
+        view: {
+          yaw: view.yaw,
+          pitch: view.pitch,
+          fpPitch: view.fpPitch,
+          zoom: view.zoom,
+          firstPerson: view.firstPerson,
+          slot: selectedSlot,
+        },
+        spawnTimer,
+        run: Object.assign({}, run),
+        explosions: serializeExplosions(),
+      };
+    }
+
+    // Puts the game in a snapshot's state, so it plays on exactly as the game it was taken from would.
+    function restore(s) {
+      sim.tick = s.tick;
+      sim.time = s.time;
+      sim.rng.state = s.rng; // rebuilt item drops roll their spin from it, the same way on every side
+      entities.nextId = 1; // applySave rebuilds every entity
+      applySave(s.save);
+      settleStreaming();
+      dayNight.time = s.save.timeOfDay;
+      dayNight.daylight = s.daylight;
+
+      playerState.dead = false;
+      playerState.invulnerableUntil = s.invulnerableUntil;
+      move.vel.set(s.move.vel[0], s.move.vel[1], s.move.vel[2]);
+      move.grounded = s.move.grounded;
+      move.lastGroundedTime = s.move.lastGroundedTime;
+      move.flying = s.move.flying;
+      move.lastJumpPress = s.move.lastJumpPress === null ? -Infinity : s.move.lastJumpPress;
+
+      view.yaw = s.view.yaw;
+      view.pitch = s.view.pitch;
+      view.fpPitch = s.view.fpPitch;
+      view.zoom = s.view.zoom;
+      view.firstPerson = s.view.firstPerson;
+      selectSlot(s.view.slot);
+
+      spawnTimer = s.spawnTimer;
+      Object.assign(run, s.run);
+      resetMining();
+      placeCooldown = 0;
+      restoreExplosions(s.explosions);
+      input.jump = input.respawn = false;
+      input.lookDelta.x = input.lookDelta.y = 0;
+      sim.rng.state = s.rng; // and back to where the game goes on from
+    }
+
+    return {
+      scene,
+      world,
+      cityGen,
+      player,
+      entities,
+      inventory,
+      input,
+      view,
+      move,
+      playerState,
+      run,
+      dayNight,
+      sim,
+      Creeper,
+      step,
+      mode: currentMode,
+      modeName: () => modeName,
+      setMode,
+      startRun,
+      runScore,
+      selectSlot,
+      selectedSlot: () => selectedSlot,
+      isNight,
+      isSolidAt,
+      followOffset,
+      releaseInput,
+      hurtPlayerByExplosion,
+      serializeChunks,
+      serializeWorld,
+      applyChunks,
+      applySave,
+      stateCheck,
+      snapshot,
+      restore,
+    };
+  }
+
+  return {
+    CHUNK_SIZE,
+    BLOCK,
+    COLOR,
+    PALETTE,
+    GAME_MODES,
+    MESHER_OPTIONS,
+    SIM_HZ,
+    SIM_DT,
+    STEP_SETTINGS,
+    DEFAULT_CITY_SEED,
+    STREAM_LOAD_RADIUS,
+    PLAYER_EYE_HEIGHT,
+    CAMERA_WALL_GAP,
+    PLAYER_MAX_HEALTH,
+    FALL_SAFE_SPEED,
+    CREEPER_FUSE_SEC,
+    SAVE_VERSION,
+    SAVE_FORMATS,
+    blockInfo,
+    isGameMode,
+    migrateSave,
+    createSimulation,
+  };
+});
@@ -1,4 +1,5 @@
 /* main.js — iPad-friendly Babylon.js “Block City” (chunked voxel mesh, dual joysticks, break/jump, creeper explosion)
+   Also playable with keyboard + pointer-lock mouse or a gamepad; touch controls hide while those are in use.
    Assumes Babylon.js is loaded in index.html and there is a <canvas id="renderCanvas"></canvas>.
    If UI elements (buttons/joysticks/status) are missing, this file creates them.
 */
@@ -33,27 +34,15 @@
   );
 
   /** ---------------------------
-   *  Engine + Scene
+   *  Engine
    *  --------------------------- */
+  // The scene belongs to the game simulation (game-sim.js), created once the settings are loaded.
   const engine = new BABYLON.Engine(canvas, true, {
     preserveDrawingBuffer: true,
     stencil: true,
     disableWebGL2Support: false,
   });
 
-  const scene = new BABYLON.Scene(engine);
-  scene.clearColor = new BABYLON.Color4(0.75, 0.87, 1.0, 1.0);
-  scene.collisionsEnabled = true;
-  scene.gravity = new BABYLON.Vector3(0, -0.6, 0); // tuned for non-physics moveWithCollisions feel
-
-  // Light
-  const hemi = new BABYLON.HemisphericLight("hemi", new BABYLON.Vector3(0.2, 1, 0.2), scene);
-  hemi.intensity = 0.9;
-
-  const dir = new BABYLON.DirectionalLight("dir", new BABYLON.Vector3(-0.4, -1, -0.3), scene);
-  dir.position = new BABYLON.Vector3(40, 80, 40);
-  dir.intensity = 0.6;
-
   /** ---------------------------
    *  UI creation (if missing)
    *  --------------------------- */
@@ -125,6 +114,230 @@
     return s;
   }
 
+  function makeClock() {
+    let c = document.getElementById("clock");
+    if (c) return c;
+    c = document.createElement("div");
+    c.id = "clock";
+    c.style.position = "fixed";
+    c.style.right = "12px";
+    c.style.top = "52px";
+    c.style.padding = "8px 10px";
+    c.style.borderRadius = "12px";
+    c.style.background = "rgba(255,255,255,0.65)";
+    c.style.border = "1px solid rgba(0,0,0,0.12)";
+    c.style.font = "600 13px system-ui, -apple-system, Segoe UI, Roboto, Arial";
+    c.style.color = "#111";
+    c.style.pointerEvents = "none";
+    uiRoot.appendChild(c);
+    return c;
+  }
+
+  function makeScore() {
+    let c = document.getElementById("score");
+    if (c) return c;
+    c = document.createElement("div");
+    c.id = "score";
+    c.style.position = "fixed";
+    c.style.right = "12px";
+    c.style.top = "94px";
+    c.style.padding = "8px 10px";
+    c.style.borderRadius = "12px";
+    c.style.background = "rgba(255,255,255,0.65)";
+    c.style.border = "1px solid rgba(0,0,0,0.12)";
+    c.style.font = "600 13px system-ui, -apple-system, Segoe UI, Roboto, Arial";
+    c.style.color = "#111";
+    c.style.pointerEvents = "none";
+    uiRoot.appendChild(c);
+    return c;
+  }
+
+  function makeTopButton(id, label, topPx) {
+    let b = document.getElementById(id);
+    if (b) return b;
+    b = document.createElement("button");
+    b.id = id;
+    b.textContent = label;
+    b.style.position = "fixed";
+    b.style.left = "12px";
+    b.style.top = topPx + "px";
+    b.style.padding = "8px 10px";
+    b.style.borderRadius = "12px";
+    b.style.background = "rgba(255,255,255,0.65)";
+    b.style.border = "1px solid rgba(0,0,0,0.12)";
+    b.style.font = "600 13px system-ui, -apple-system, Segoe UI, Roboto, Arial";
+    b.style.color = "#111";
+    b.style.pointerEvents = "auto";
+    uiRoot.appendChild(b);
+    return b;
+  }
+
+  // Screen-centre aim mark; picks go through it in both views.
+  function makeCrosshair() {
+    let c = document.getElementById("crosshair");
+    if (c) return c;
+    c = document.createElement("div");
+    c.id = "crosshair";
+    c.textContent = "+";
+    c.style.position = "fixed";
+    c.style.left = "50%";
+    c.style.top = "50%";
+    c.style.transform = "translate(-50%, -50%)";
+    c.style.font = "300 30px system-ui, -apple-system, Segoe UI, Roboto, Arial";
+    c.style.lineHeight = "1";
+    c.style.color = "#fff";
+    c.style.textShadow = "0 0 3px rgba(0,0,0,0.8)";
+    c.style.pointerEvents = "none";
+    uiRoot.appendChild(c);
+    return c;
+  }
+
+  // Centred card with a scrolling `body` for the rows and Reset/Close buttons underneath.
+  function makeSettingsPanel() {
+    const p = document.createElement("div");
+    p.id = "settingsPanel";
+    p.style.position = "fixed";
+    p.style.left = "50%";
+    p.style.top = "50%";
+    p.style.transform = "translate(-50%, -50%)";
+    p.style.width = "min(420px, calc(100vw - 32px))";
+    p.style.maxHeight = "calc(100vh - 32px)";
+    p.style.display = "none";
+    p.style.flexDirection = "column";
+    p.style.gap = "12px";
+    p.style.padding = "16px";
+    p.style.borderRadius = "18px";
+    p.style.background = "rgba(20,24,30,0.92)";
+    p.style.border = "1px solid rgba(255,255,255,0.2)";
+    p.style.font = "500 14px system-ui, -apple-system, Segoe UI, Roboto, Arial";
+    p.style.color = "#fff";
+    p.style.pointerEvents = "auto";
+    p.style.touchAction = "pan-y";
+    // The page-wide touchmove blocker would stop sliders from dragging and the list from scrolling.
+    p.addEventListener("touchmove", (e) => e.stopPropagation(), { passive: true });
+
+    const title = document.createElement("div");
+    title.textContent = "Settings";
+    title.style.font = "700 18px system-ui, -apple-system, Segoe UI, Roboto, Arial";
+    p.appendChild(title);
+
+    p.body = document.createElement("div");
+    p.body.style.display = "flex";
+    p.body.style.flexDirection = "column";
+    p.body.style.gap = "10px";
+    p.body.style.overflowY = "auto";
+    p.appendChild(p.body);
+
+    const buttons = document.createElement("div");
+    buttons.style.display = "flex";
+    buttons.style.justifyContent = "flex-end";
+    buttons.style.gap = "10px";
+    p.resetBtn = document.createElement("button");
+    p.resetBtn.textContent = "Reset to defaults";
+    p.closeBtn = document.createElement("button");
+    p.closeBtn.textContent = "Close";
+    buttons.appendChild(p.resetBtn);
+    buttons.appendChild(p.closeBtn);
+    p.appendChild(buttons);
+
+    uiRoot.appendChild(p);
+    return p;
+  }
+
+  // Playback controls above the hotbar, shown only while a replay file plays.
+  function makeReplayBar() {
+    const b = document.createElement("div");
+    b.id = "replayBar";
+    b.style.position = "fixed";
+    b.style.left = "50%";
+    b.style.bottom = "100px";
+    b.style.transform = "translateX(-50%)";
+    b.style.display = "none";
+    b.style.alignItems = "center";
+    b.style.gap = "10px";
+    b.style.padding = "8px 12px";
+    b.style.borderRadius = "14px";
+    b.style.background = "rgba(20,24,30,0.85)";
+    b.style.border = "1px solid rgba(255,255,255,0.2)";
+    b.style.font = "600 13px system-ui, -apple-system, Segoe UI, Roboto, Arial";
+    b.style.color = "#fff";
+    b.style.pointerEvents = "auto";
+
+    b.playBtn = document.createElement("button");
+    b.speedSelect = document.createElement("select");
+    b.timeEl = document.createElement("span");
+    b.statusEl = document.createElement("span");
+    b.exitBtn = document.createElement("button");
+    b.exitBtn.textContent = "Exit";
+    for (const el of [b.playBtn, b.speedSelect, b.timeEl, b.statusEl, b.exitBtn]) b.appendChild(el);
+
+    uiRoot.appendChild(b);
+    return b;
+  }
+
+  function makeModeSelect() {
+    let m = document.getElementById("modeSelect");
+    if (m) return m;
+    m = document.createElement("select");
+    m.id = "modeSelect";
+    m.style.position = "fixed";
+    m.style.left = "12px";
+    m.style.top = "52px";
+    m.style.padding = "8px 10px";
+    m.style.borderRadius = "12px";
+    m.style.background = "rgba(255,255,255,0.65)";
+    m.style.border = "1px solid rgba(0,0,0,0.12)";
+    m.style.font = "600 13px system-ui, -apple-system, Segoe UI, Roboto, Arial";
+    m.style.color = "#111";
+    m.style.pointerEvents = "auto";
+    uiRoot.appendChild(m);
+    return m;
+  }
+
+  // Full-screen layer for the hurt flash and the death screen.
+  function makeOverlay(id, background) {
+    let o = document.getElementById(id);
+    if (o) return o;
+    o = document.createElement("div");
+    o.id = id;
+    o.style.position = "fixed";
+    o.style.inset = "0";
+    o.style.background = background;
+    o.style.pointerEvents = "none";
+    o.style.opacity = "0";
+    o.style.display = "flex";
+    o.style.flexDirection = "column";
+    o.style.alignItems = "center";
+    o.style.justifyContent = "center";
+    o.style.gap = "16px";
+    o.style.font = "700 28px system-ui, -apple-system, Segoe UI, Roboto, Arial";
+    o.style.color = "#fff";
+    uiRoot.appendChild(o);
+    return o;
+  }
+
+  function makeHotbar() {
+    let bar = document.getElementById("hotbar");
+    if (bar) return bar;
+    bar = document.createElement("div");
+    bar.id = "hotbar";
+    bar.style.position = "fixed";
+    bar.style.left = "50%";
+    bar.style.bottom = "16px";
+    bar.style.transform = "translateX(-50%)";
+    bar.style.display = "flex";
+    bar.style.gap = "8px";
+    bar.style.padding = "8px";
+    bar.style.borderRadius = "18px";
+    bar.style.background = "rgba(255,255,255,0.10)";
+    bar.style.border = "1px solid rgba(255,255,255,0.20)";
+    bar.style.pointerEvents = "auto";
+    bar.style.touchAction = "none";
+    bar.style.webkitTapHighlightColor = "transparent";
+    uiRoot.appendChild(bar);
+    return bar;
+  }
+
   function makeJoystick(name, side /* 'left' | 'right' */) {
     const wrapId = `${name}JoyWrap`;
     let wrap = document.getElementById(wrapId);
@@ -175,9 +388,20 @@
     return wrap;
   }
 
-  const BUILD_VERSION = "v13";
+  const BUILD_VERSION = "v28";
 
   const statusEl = makeStatus();
+  const healthEl = document.getElementById("health");
+  const clockEl = makeClock();
+  const scoreEl = makeScore();
+  const modeSelectEl = makeModeSelect();
+  const settingsBtnEl = makeTopButton("settingsBtn", "Settings", 94);
+  const viewBtnEl = makeTopButton("viewBtn", "View", 136);
+  const muteBtnEl = makeTopButton("muteBtn", "Sound", 178);
+  const recordBtnEl = makeTopButton("recordBtn", "Record", 220);
+  const replayBtnEl = makeTopButton("replayBtn", "Replay", 262);
+  const replayBarEl = makeReplayBar();
+  makeCrosshair();
   const buildVersionEl = document.getElementById("buildVersion");
   if (buildVersionEl) buildVersionEl.textContent = `Build ${BUILD_VERSION}`;
 
@@ -191,6 +415,8 @@
 
   const breakBtn = makeButton("breakBtn", "Break", 16, breakBtnBottom);
   const jumpBtn = makeButton("jumpBtn", "Jump", 16, jumpBtnBottom);
+  // Place sits beside Break so the button column does not grow taller.
+  const placeBtn = makeButton("placeBtn", "Place", 16 + BTN_SIZE + BTN_GAP, breakBtnBottom);
 
   const leftJoyWrap = makeJoystick("left", "left");
   const rightJoyWrap = makeJoystick("right", "right");
@@ -336,415 +562,307 @@
   const rightJoy = new VirtualJoystick(rightJoyWrap);
 
   /** ---------------------------
-   *  Voxel + Chunk System
+   *  Settings
    *  --------------------------- */
-  const CHUNK_SIZE = 16;
-  const CHUNK_VOL = CHUNK_SIZE * CHUNK_SIZE * CHUNK_SIZE;
-
-  const BLOCK = {
-    AIR: 0,
-    ROAD: 1,
-    BUILDING: 2,
-    CRATE: 3,
-  };
-
-  function idx(lx, ly, lz) {
-    return lx + CHUNK_SIZE * (ly + CHUNK_SIZE * lz);
-  }
-  function floorDiv(n, d) {
-    return Math.floor(n / d);
-  }
-  function mod(n, d) {
-    return ((n % d) + d) % d;
+  // localStorage throws in some private-browsing modes; preferences just don't stick there.
+  function readStorage(k) {
+    try {
+      return window.localStorage.getItem(k);
+    } catch (err) {
+      return null;
+    }
   }
-  function key(cx, cy, cz) {
-    return `${cx},${cy},${cz}`;
+  function writeStorage(k, v) {
+    try {
+      window.localStorage.setItem(k, v);
+    } catch (err) {
+      console.warn("Could not store preference:", err);
+    }
   }
 
-  // Per-vertex colors
-  const COLOR = {
-    [BLOCK.ROAD]: new BABYLON.Color4(0.18, 0.18, 0.20, 1),
-    [BLOCK.BUILDING]: new BABYLON.Color4(0.70, 0.74, 0.78, 1),
-    [BLOCK.CRATE]: new BABYLON.Color4(0.58, 0.40, 0.22, 1),
+  // Player preferences, applied live from the settings panel and kept in localStorage.
+  // Sliders have min/max/step; anything without a range is a checkbox.
+  const SETTINGS_KEY = "cityCreeper.settings";
+  const STEP_DEFAULTS = GameSim.STEP_SETTINGS; // the ones the simulation's steps read
+  const SETTING_DEFS = {
+    lookSpeed: { label: "Look sensitivity", def: STEP_DEFAULTS.lookSpeed, min: 0.25, max: 3, step: 0.05 },
+    invertY: { label: "Invert look up/down", def: STEP_DEFAULTS.invertY },
+    lookDeadzone: { label: "Look stick deadzone", def: STEP_DEFAULTS.lookDeadzone, min: 0, max: 0.4, step: 0.01 },
+    moveDeadzone: { label: "Move stick deadzone", def: STEP_DEFAULTS.moveDeadzone, min: 0, max: 0.4, step: 0.01 },
+    joySize: { label: "Joystick size", def: JOY_SIZE, min: 110, max: 240, step: 2 },
+    joyOpacity: { label: "Touch controls opacity", def: 1, min: 0.2, max: 1, step: 0.05 },
+    joySide: { label: "Joystick distance from side", def: 16, min: 0, max: 160, step: 2 },
+    joyBottom: { label: "Joystick distance from bottom", def: JOY_BOTTOM, min: 0, max: 200, step: 2 },
+    leftHanded: { label: "Left-handed buttons", def: false },
+    renderScale: { label: "Render scale", def: 1, min: 0.4, max: 2, step: 0.05 },
+    rebuildBudget: { label: "Chunk rebuilds per frame", def: 2, min: 1, max: 8, step: 1 },
+    volume: { label: "Master volume", def: 0.8, min: 0, max: 1, step: 0.05 },
+    muted: { label: "Mute sound", def: false },
   };
 
-  const DIRS = [
-    { n: [1, 0, 0], u: [0, 1, 0], v: [0, 0, 1] }, // +X
-    { n: [-1, 0, 0], u: [0, 1, 0], v: [0, 0, -1] }, // -X
-    { n: [0, 1, 0], u: [1, 0, 0], v: [0, 0, -1] }, // +Y
-    { n: [0, -1, 0], u: [1, 0, 0], v: [0, 0, 1] }, // -Y
-    { n: [0, 0, 1], u: [1, 0, 0], v: [0, 1, 0] }, // +Z
-    { n: [0, 0, -1], u: [-1, 0, 0], v: [0, 1, 0] }, // -Z
-  ];
-
-  class Chunk {
-    constructor(world, cx, cy, cz) {
-      this.world = world;
-      this.cx = cx;
-      this.cy = cy;
-      this.cz = cz;
-      this.blocks = new Uint8Array(CHUNK_VOL);
-      this.mesh = null;
-      this.dirty = true;
-      this.inQueue = false;
-    }
-
-    getLocal(lx, ly, lz) {
-      if (lx < 0 || ly < 0 || lz < 0 || lx >= CHUNK_SIZE || ly >= CHUNK_SIZE || lz >= CHUNK_SIZE) return BLOCK.AIR;
-      return this.blocks[idx(lx, ly, lz)];
-    }
+  function defaultSettings() {
+    const out = {};
+    for (const [k, d] of Object.entries(SETTING_DEFS)) out[k] = d.def;
+    return out;
+  }
 
-    setLocal(lx, ly, lz, v) {
-      if (lx < 0 || ly < 0 || lz < 0 || lx >= CHUNK_SIZE || ly >= CHUNK_SIZE || lz >= CHUNK_SIZE) return;
-      this.blocks[idx(lx, ly, lz)] = v;
+  // Stored values are trusted only as far as their type and range.
+  function loadSettings() {
+    const out = defaultSettings();
+    let stored = null;
+    try {
+      stored = JSON.parse(readStorage(SETTINGS_KEY));
+    } catch (err) {
+      stored = null;
     }
-
-    worldOrigin() {
-      return {
-        x: this.cx * CHUNK_SIZE,
-        y: this.cy * CHUNK_SIZE,
-        z: this.cz * CHUNK_SIZE,
-      };
-    }
-
-    rebuildMesh() {
-      const scene = this.world.scene;
-      const origin = this.worldOrigin();
-
-      const positions = [];
-      const normals = [];
-      const indices = [];
-      const colors = [];
-
-      let vertCount = 0;
-
-      const pushColor = (c) => {
-        colors.push(c.r, c.g, c.b, c.a);
-      };
-
-      for (let lz = 0; lz < CHUNK_SIZE; lz++) {
-        for (let ly = 0; ly < CHUNK_SIZE; ly++) {
-          for (let lx = 0; lx < CHUNK_SIZE; lx++) {
-            const b = this.getLocal(lx, ly, lz);
-            if (b === BLOCK.AIR) continue;
-
-            const wx = origin.x + lx;
-            const wy = origin.y + ly;
-            const wz = origin.z + lz;
-
-            for (let f = 0; f < 6; f++) {
-              const d = DIRS[f];
-              const nx = d.n[0],
-                ny = d.n[1],
-                nz = d.n[2];
-
-              // Neighbor block in world coords
-              const nb = this.world.getBlock(wx + nx, wy + ny, wz + nz);
-              if (nb !== BLOCK.AIR) continue;
-
-              // Face corners: p, p+u, p+u+v, p+v
-              // For each axis-aligned face, base corner is at voxel position plus offset depending on normal
-              const ox = wx + (nx === 1 ? 1 : 0);
-              const oy = wy + (ny === 1 ? 1 : 0);
-              const oz = wz + (nz === 1 ? 1 : 0);
-
-              const ux = d.u[0],
-                uy = d.u[1],
-                uz = d.u[2];
-              const vx = d.v[0],
-                vy = d.v[1],
-                vz = d.v[2];
-
-              const p0 = [ox, oy, oz];
-              const p1 = [ox + ux, oy + uy, oz + uz];
-              const p2 = [ox + ux + vx, oy + uy + vy, oz + uz + vz];
-              const p3 = [ox + vx, oy + vy, oz + vz];
-
-              positions.push(...p0, ...p1, ...p2, ...p3);
-
-              // Normals (same for all 4 verts)
-              for (let i = 0; i < 4; i++) normals.push(nx, ny, nz);
-
-              const c = COLOR[b] || new BABYLON.Color4(1, 1, 1, 1);
-              // slight per-face variation to avoid flat look
-              const shade = f === 2 ? 1.07 : f === 3 ? 0.92 : 1.0;
-              const cc = new BABYLON.Color4(
-                Math.min(1, c.r * shade),
-                Math.min(1, c.g * shade),
-                Math.min(1, c.b * shade),
-                c.a
-              );
-              for (let i = 0; i < 4; i++) pushColor(cc);
-
-              // Winding
-              indices.push(vertCount + 0, vertCount + 1, vertCount + 2, vertCount + 0, vertCount + 2, vertCount + 3);
-              vertCount += 4;
-            }
-          }
-        }
-      }
-
-      // Create or update mesh
-      if (!this.mesh) {
-        this.mesh = new BABYLON.Mesh(`chunk_${this.cx}_${this.cy}_${this.cz}`, scene);
-        this.mesh.checkCollisions = true;
-        this.mesh.isPickable = true;
-        this.mesh.metadata = { isChunk: true, cx: this.cx, cy: this.cy, cz: this.cz };
-
-        const mat = new BABYLON.StandardMaterial(`mat_${this.cx}_${this.cy}_${this.cz}`, scene);
-        mat.vertexColorEnabled = true;
-        mat.specularColor = new BABYLON.Color3(0.05, 0.05, 0.05);
-        mat.backFaceCulling = true;
-        this.mesh.material = mat;
-      } else {
-        // wipe old geometry
-        this.mesh.geometry?.dispose();
-      }
-
-      if (positions.length === 0) {
-        // No faces -> keep an empty mesh to remain pickable? better disable pick + collisions
-        this.mesh.isPickable = false;
-        this.mesh.checkCollisions = false;
-        this.mesh.setEnabled(false);
-      } else {
-        this.mesh.setEnabled(true);
-        this.mesh.isPickable = true;
-        this.mesh.checkCollisions = true;
-
-        const vd = new BABYLON.VertexData();
-        vd.positions = positions;
-        vd.indices = indices;
-        vd.normals = normals;
-        vd.colors = colors;
-        vd.applyToMesh(this.mesh, true);
-      }
-
-      this.dirty = false;
-      this.inQueue = false;
+    if (!stored || typeof stored !== "object") return out;
+    for (const [k, d] of Object.entries(SETTING_DEFS)) {
+      const v = stored[k];
+      if (typeof d.def === "boolean" && typeof v === "boolean") out[k] = v;
+      if (typeof d.def === "number" && Number.isFinite(v)) out[k] = Math.max(d.min, Math.min(d.max, v));
     }
+    return out;
   }
 
-  class VoxelWorld {
-    constructor(scene) {
-      this.scene = scene;
-      this.chunks = new Map();
-      this.dirtyQueue = [];
-      this.dirtySet = new Set();
+  const settings = loadSettings();
+  const settingsHooks = []; // (settings) => void, for systems set up further down the file
+
+  // Sticks, buttons and render size follow the settings; everything else reads them as it runs.
+  function applySettings() {
+    const s = settings;
+    const knobSize = Math.round(s.joySize * 0.4);
+    for (const [wrap, joy, side] of [
+      [leftJoyWrap, leftJoy, "left"],
+      [rightJoyWrap, rightJoy, "right"],
+    ]) {
+      wrap.style.width = wrap.style.height = `${s.joySize}px`;
+      wrap.style[side] = `${s.joySide}px`;
+      wrap.style.bottom = `${s.joyBottom}px`;
+      wrap.style.opacity = String(s.joyOpacity);
+      const knob = joy.knobEl;
+      knob.style.width = knob.style.height = `${knobSize}px`;
+      knob.style.marginLeft = knob.style.marginTop = `${-knobSize / 2}px`;
+      joy.radius = (s.joySize - 44) / 2; // 58 at the default size
     }
 
-    getChunk(cx, cy, cz, create = false) {
-      const k = key(cx, cy, cz);
-      let c = this.chunks.get(k);
-      if (!c && create) {
-        c = new Chunk(this, cx, cy, cz);
-        this.chunks.set(k, c);
-      }
-      return c || null;
+    // The button column sits above the stick on the chosen side, Place beside Break towards the middle.
+    const side = s.leftHanded ? "left" : "right";
+    const jumpBottom = s.joyBottom + s.joySize + BTN_GAP;
+    const breakBottom = jumpBottom + BTN_SIZE + BTN_GAP;
+    for (const [btn, offset, bottom] of [
+      [jumpBtn, 0, jumpBottom],
+      [breakBtn, 0, breakBottom],
+      [placeBtn, BTN_SIZE + BTN_GAP, breakBottom],
+    ]) {
+      btn.style.left = btn.style.right = "";
+      btn.style[side] = `${s.joySide + offset}px`;
+      btn.style.bottom = `${bottom}px`;
+      btn.style.opacity = String(s.joyOpacity);
     }
 
-    getBlock(x, y, z) {
-      const cx = floorDiv(x, CHUNK_SIZE);
-      const cy = floorDiv(y, CHUNK_SIZE);
-      const cz = floorDiv(z, CHUNK_SIZE);
-      const c = this.getChunk(cx, cy, cz, false);
-      if (!c) return BLOCK.AIR;
-      const lx = mod(x, CHUNK_SIZE);
-      const ly = mod(y, CHUNK_SIZE);
-      const lz = mod(z, CHUNK_SIZE);
-      return c.getLocal(lx, ly, lz);
-    }
+    engine.setHardwareScalingLevel(1 / s.renderScale);
+    for (const hook of settingsHooks) hook(s);
+  }
 
-    setBlock(x, y, z, v) {
-      const cx = floorDiv(x, CHUNK_SIZE);
-      const cy = floorDiv(y, CHUNK_SIZE);
-      const cz = floorDiv(z, CHUNK_SIZE);
-      const c = this.getChunk(cx, cy, cz, true);
-      const lx = mod(x, CHUNK_SIZE);
-      const ly = mod(y, CHUNK_SIZE);
-      const lz = mod(z, CHUNK_SIZE);
-      c.setLocal(lx, ly, lz, v);
-
-      this.markDirty(cx, cy, cz);
-
-      // If changed block on boundary, neighbor chunk face exposure changes too
-      if (lx === 0) this.markDirty(cx - 1, cy, cz);
-      if (lx === CHUNK_SIZE - 1) this.markDirty(cx + 1, cy, cz);
-      if (ly === 0) this.markDirty(cx, cy - 1, cz);
-      if (ly === CHUNK_SIZE - 1) this.markDirty(cx, cy + 1, cz);
-      if (lz === 0) this.markDirty(cx, cy, cz - 1);
-      if (lz === CHUNK_SIZE - 1) this.markDirty(cx, cy, cz + 1);
-    }
+  function saveSettings() {
+    writeStorage(SETTINGS_KEY, JSON.stringify(settings));
+  }
 
-    markDirty(cx, cy, cz) {
-      const c = this.getChunk(cx, cy, cz, false);
-      if (!c) return;
-      c.dirty = true;
-      const k = key(cx, cy, cz);
-      if (!this.dirtySet.has(k)) {
-        this.dirtySet.add(k);
-        c.inQueue = true;
-        this.dirtyQueue.push(c);
-      }
-    }
+  const settingsPanelEl = makeSettingsPanel();
+  const settingsInputs = {};
 
-    drainDirtyAll() {
-      while (this.dirtyQueue.length) {
-        const c = this.dirtyQueue.shift();
-        const k = key(c.cx, c.cy, c.cz);
-        this.dirtySet.delete(k);
-        if (c.dirty) c.rebuildMesh();
-      }
-    }
+  function formatSetting(k) {
+    const v = settings[k];
+    if (k === "renderScale" || k === "volume") return `${Math.round(v * 100)}%`;
+    if (k === "lookSpeed") return `${v.toFixed(2)}\u00d7`;
+    if (k.startsWith("joy") && k !== "joyOpacity") return `${v}px`;
+    return String(v);
+  }
 
-    rebuildSome(maxPerFrame = 2) {
-      let n = 0;
-      while (n < maxPerFrame && this.dirtyQueue.length) {
-        const c = this.dirtyQueue.shift();
-        const k = key(c.cx, c.cy, c.cz);
-        this.dirtySet.delete(k);
-        if (c.dirty) c.rebuildMesh();
-        n++;
-      }
+  function syncSettingsPanel() {
+    for (const [k, row] of Object.entries(settingsInputs)) {
+      if (typeof settings[k] === "boolean") row.input.checked = settings[k];
+      else row.input.value = String(settings[k]);
+      if (row.valueEl) row.valueEl.textContent = formatSetting(k);
     }
   }
 
-  const world = new VoxelWorld(scene);
-
-  /** ---------------------------
-   *  City generation (voxel data)
-   *  --------------------------- */
-  // City dimensions in blocks
-  const CITY_HALF = 64; // extends [-CITY_HALF..CITY_HALF)
-  const GROUND_Y = 0;
-
-  // Ensure chunk existence in range (for startup mesh build)
-  function ensureChunkRange(x0, x1, y0, y1, z0, z1) {
-    const cx0 = floorDiv(x0, CHUNK_SIZE);
-    const cx1 = floorDiv(x1, CHUNK_SIZE);
-    const cy0 = floorDiv(y0, CHUNK_SIZE);
-    const cy1 = floorDiv(y1, CHUNK_SIZE);
-    const cz0 = floorDiv(z0, CHUNK_SIZE);
-    const cz1 = floorDiv(z1, CHUNK_SIZE);
-    for (let cz = cz0; cz <= cz1; cz++) {
-      for (let cy = cy0; cy <= cy1; cy++) {
-        for (let cx = cx0; cx <= cx1; cx++) {
-          world.getChunk(cx, cy, cz, true);
-        }
-      }
+  for (const [k, d] of Object.entries(SETTING_DEFS)) {
+    const row = document.createElement("label");
+    row.style.display = "flex";
+    row.style.alignItems = "center";
+    row.style.gap = "10px";
+    const name = document.createElement("span");
+    name.textContent = d.label;
+    name.style.flex = "1";
+    row.appendChild(name);
+
+    const input = document.createElement("input");
+    let valueEl = null;
+    if (typeof d.def === "boolean") {
+      input.type = "checkbox";
+      input.addEventListener("change", () => {
+        settings[k] = input.checked;
+        applySettings();
+        saveSettings();
+      });
+      row.appendChild(input);
+    } else {
+      input.type = "range";
+      input.min = String(d.min);
+      input.max = String(d.max);
+      input.step = String(d.step);
+      input.style.width = "140px";
+      valueEl = document.createElement("span");
+      valueEl.style.width = "56px";
+      valueEl.style.textAlign = "right";
+      input.addEventListener("input", () => {
+        settings[k] = Number(input.value);
+        valueEl.textContent = formatSetting(k);
+        applySettings();
+      });
+      input.addEventListener("change", saveSettings);
+      row.appendChild(input);
+      row.appendChild(valueEl);
     }
+    settingsInputs[k] = { input, valueEl };
+    settingsPanelEl.body.appendChild(row);
   }
 
-  // Pre-create chunks covering ground and building heights
-  ensureChunkRange(-CITY_HALF, CITY_HALF - 1, 0, 32, -CITY_HALF, CITY_HALF - 1);
+  settingsPanelEl.resetBtn.addEventListener("click", () => {
+    Object.assign(settings, defaultSettings());
+    applySettings();
+    saveSettings();
+    syncSettingsPanel();
+  });
 
-  // Ground/road layer
-  for (let z = -CITY_HALF; z < CITY_HALF; z++) {
-    for (let x = -CITY_HALF; x < CITY_HALF; x++) {
-      // Simple road grid: thick main roads every 8 blocks, with intersections
-      const ax = Math.abs(x);
-      const az = Math.abs(z);
-      const isRoad =
-        (ax % 16 <= 2) || (az % 16 <= 2) || (ax <= 2) || (az <= 2); // plus central cross
-      world.setBlock(x, GROUND_Y, z, isRoad ? BLOCK.ROAD : BLOCK.ROAD); // keep all as ROAD for collision base
-    }
+  function setSettingsOpen(open) {
+    settingsPanelEl.style.display = open ? "flex" : "none";
+    if (!open) return;
+    syncSettingsPanel();
+    releaseHeldInputs();
+    if (document.pointerLockElement === canvas && document.exitPointerLock) document.exitPointerLock();
   }
 
-  // Buildings on lots: grid spacing
-  function rand01(seed) {
-    // deterministic-ish hash
-    const s = Math.sin(seed) * 10000;
-    return s - Math.floor(s);
-  }
+  settingsPanelEl.closeBtn.addEventListener("click", () => setSettingsOpen(false));
+  settingsBtnEl.addEventListener("click", () => setSettingsOpen(settingsPanelEl.style.display === "none"));
+  applySettings();
 
-  const lotStep = 8;
-  for (let gz = -CITY_HALF + 4; gz < CITY_HALF - 4; gz += lotStep) {
-    for (let gx = -CITY_HALF + 4; gx < CITY_HALF - 4; gx += lotStep) {
-      // Skip road corridors
-      const isRoadCorridor = (Math.abs(gx) % 16 <= 2) || (Math.abs(gz) % 16 <= 2) || (Math.abs(gx) <= 2) || (Math.abs(gz) <= 2);
-      if (isRoadCorridor) continue;
+  /** ---------------------------
+   *  Game simulation (game-sim.js)
+   *  --------------------------- */
+  // The world, player, creepers and rules live in game-sim.js and advance in the main loop's fixed steps;
+  // this file adds the cameras, lights, HUD, input devices, sound, saving and multiplayer around them.
+  //   ?seed=  any text, and ?size= (half-extent in blocks) pick the city
+  //   ?mode=  the game mode, otherwise the last one chosen in the selector
+  //   ?day=   seconds in a full day; ?time= the hour to start at, which also wins over a save's clock
+  //   ?safe=1 explosions leave a footing pad under the player (the old always-on behaviour)
+  const { BLOCK, COLOR, PALETTE, GAME_MODES, CHUNK_SIZE, SIM_HZ, SIM_DT, PLAYER_EYE_HEIGHT } = GameSim;
+  const MODE_STORAGE_KEY = "cityCreeper.mode";
+  const urlParams = new URLSearchParams(window.location.search);
+
+  const game = GameSim.createSimulation({
+    engine,
+    seed: urlParams.get("seed") || GameSim.DEFAULT_CITY_SEED,
+    halfSize: Math.max(16, Number(urlParams.get("size")) || CityGen.DEFAULTS.halfSize),
+    mode: [urlParams.get("mode"), readStorage(MODE_STORAGE_KEY)].find(GameSim.isGameMode) || "sandbox",
+    dayLength: Math.max(10, Number(urlParams.get("day")) || 600),
+    startHour: urlParams.has("time") ? Number(urlParams.get("time")) || 0 : null,
+    safeMode: urlParams.get("safe") === "1",
+    settings,
+    build: BUILD_VERSION,
+    hooks: {
+      blockBroken: playBreakSound,
+      jumped: playJumpSound,
+      landed: playLandSound,
+      exploded: onExplosion,
+      hurt: onPlayerHurt,
+      died: onPlayerDied,
+      respawned: onPlayerRespawned,
+      runStarted: onRunStarted,
+      otherPlayers: livingPeerPositions,
+      guest: () => net.role === "guest",
+    },
+  });
+  const { scene, world, cityGen, player, entities, inventory, input, view, playerState, run, dayNight, sim } = game;
 
-      const seed = gx * 1337 + gz * 7331;
-      const chance = rand01(seed);
-      if (chance < 0.35) continue;
+  // City dimensions in blocks (Infinity unless `?size=` bounds it)
+  const CITY_HALF = cityGen.options.halfSize;
 
-      const w = 3 + Math.floor(rand01(seed + 1) * 4); // 3..6
-      const d = 3 + Math.floor(rand01(seed + 2) * 4);
-      const h = 4 + Math.floor(rand01(seed + 3) * 14); // 4..17
+  scene.clearColor = new BABYLON.Color4(0.75, 0.87, 1.0, 1.0);
 
-      const x0 = gx - Math.floor(w / 2);
-      const z0 = gz - Math.floor(d / 2);
+  // Light
+  const hemi = new BABYLON.HemisphericLight("hemi", new BABYLON.Vector3(0.2, 1, 0.2), scene);
+  hemi.intensity = 0.9;
 
-      for (let y = 1; y <= h; y++) {
-        for (let z = z0; z < z0 + d; z++) {
-          for (let x = x0; x < x0 + w; x++) {
-            world.setBlock(x, y, z, BLOCK.BUILDING);
-          }
-        }
-      }
-    }
-  }
+  const dir = new BABYLON.DirectionalLight("dir", new BABYLON.Vector3(-0.4, -1, -0.3), scene);
+  dir.position = new BABYLON.Vector3(40, 80, 40);
+  dir.intensity = 0.6;
 
-  // Scattered crates
-  for (let i = 0; i < 220; i++) {
-    const seed = i * 999;
-    const x = Math.floor((rand01(seed + 1) * 2 - 1) * (CITY_HALF - 4));
-    const z = Math.floor((rand01(seed + 2) * 2 - 1) * (CITY_HALF - 4));
-    // avoid central roads a bit
-    if ((Math.abs(x) % 16 <= 2) || (Math.abs(z) % 16 <= 2) || (Math.abs(x) <= 2) || (Math.abs(z) <= 2)) continue;
-    world.setBlock(x, 1, z, BLOCK.CRATE);
-    if (rand01(seed + 3) > 0.7) world.setBlock(x, 2, z, BLOCK.CRATE);
-  }
-
-  // Mark all chunks dirty once after generation, then build up-front
-  for (const c of world.chunks.values()) {
-    c.dirty = true;
-    if (!c.inQueue) {
-      c.inQueue = true;
-      world.dirtyQueue.push(c);
-      world.dirtySet.add(key(c.cx, c.cy, c.cz));
-    }
+  // Per-frame rebuilds go to a worker so explosions that dirty many chunks don't hitch the frame.
+  // Worker construction throws on file:// in some browsers; main-thread meshing still works there.
+  try {
+    const meshWorker = new Worker(`chunk-mesher.js?build=${BUILD_VERSION}`);
+    meshWorker.postMessage(Object.assign({ type: "init" }, GameSim.MESHER_OPTIONS));
+    world.attachMeshWorker(meshWorker);
+  } catch (err) {
+    console.warn("Mesh worker unavailable, meshing on the main thread:", err);
   }
-  world.drainDirtyAll(); // build everything up-front
 
   /** ---------------------------
-   *  Player (invisible capsule collider)
+   *  Cameras
    *  --------------------------- */
-  const player = BABYLON.MeshBuilder.CreateCapsule(
-    "player",
-    { radius: 0.45, height: 1.7, tessellation: 8, subdivisions: 1 },
-    scene
-  );
-  player.isVisible = false;
-  player.checkCollisions = true;
-  player.ellipsoid = new BABYLON.Vector3(0.45, 0.85, 0.45);
-  player.ellipsoidOffset = new BABYLON.Vector3(0, 0.85, 0);
-  player.position.set(0, 3, 10);
-
+  // Both follow the simulation's `view` (game-sim.js), which look input turns inside the steps.
   // FollowCamera (no attachControl — no touch gestures)
   const camera = new BABYLON.FollowCamera("cam", new BABYLON.Vector3(0, 6, -12), scene);
   camera.lockedTarget = player;
-  camera.radius = 10;
-  camera.heightOffset = 4;
-  camera.rotationOffset = 180;
-  camera.cameraAcceleration = 0.08;
-  camera.maxCameraSpeed = 12;
+  camera.cameraAcceleration = 0; // placeFollowCamera sets the position each frame; this only keeps it aimed
   scene.activeCamera = camera;
 
-  // Smooth movement
-  const move = {
-    vel: new BABYLON.Vector3(0, 0, 0),
-    wish: new BABYLON.Vector3(0, 0, 0),
-    grounded: false,
-    lastGroundedTime: 0,
-    jumpRequested: false,
-  };
+  // First person: a free camera at eye height, turned by the same look input as the follow camera.
+  // V, gamepad Y or the View button switch views; the choice is remembered.
+  const VIEW_STORAGE_KEY = "cityCreeper.view";
+  const fpCamera = new BABYLON.FreeCamera("fpCam", new BABYLON.Vector3(0, 0, 0), scene);
+  fpCamera.minZ = 0.05; // the eye is 0.3 from the walls it can touch
+  fpCamera.fov = 1.0;
+
+  function setFirstPerson(on) {
+    view.firstPerson = on;
+    scene.activeCamera = on ? fpCamera : camera;
+    viewBtnEl.textContent = on ? "View: 1st" : "View: 3rd";
+    writeStorage(VIEW_STORAGE_KEY, on ? "first" : "third");
+  }
+  setFirstPerson(readStorage(VIEW_STORAGE_KEY) === "first");
+  viewBtnEl.addEventListener("click", () => setFirstPerson(!view.firstPerson));
 
-  function nowSec() {
-    return performance.now() / 1000;
+  /** ---------------------------
+   *  Input (touch, keyboard + mouse, gamepad)
+   *  --------------------------- */
+  // Every device writes into the simulation's `input` (its fields are listed in game-sim.js); gameplay
+  // only reads that. A replay (see "Input recording + replay") overwrites it at the start of every step.
+
+  const touchButtons = { break: false, place: false, jump: false };
+  const mouseButtons = { break: false, place: false };
+  const keysDown = new Set();
+  const pad = { index: null, break: false, place: false, jump: false, descend: false, prevButtons: [] };
+
+  const GAMEPAD_DEADZONE = 0.15;
+  const touchUiEls = [leftJoyWrap, rightJoyWrap, jumpBtn, breakBtn, placeBtn];
+
+  // Touch controls stay on screen only while touch is the active device.
+  function setInputDevice(kind) {
+    if (input.device === kind) return;
+    input.device = kind;
+    for (const el of touchUiEls) el.style.display = kind === "touch" ? "" : "none";
   }
 
-  // Button state
-  const btnState = { breakPressed: false };
+  function releaseHeldInputs() {
+    touchButtons.break = touchButtons.place = touchButtons.jump = false;
+    mouseButtons.break = mouseButtons.place = false;
+    pad.break = pad.place = pad.jump = pad.descend = false;
+    game.releaseInput();
+    keysDown.clear();
+  }
 
   function bindPressHold(btn, onDown, onUp) {
     const down = (e) => {
@@ -765,384 +883,598 @@
   bindPressHold(
     jumpBtn,
     () => {
-      move.jumpRequested = true;
+      input.jump = true;
+      touchButtons.jump = true;
     },
-    () => {}
+    () => {
+      touchButtons.jump = false;
+    }
   );
 
   bindPressHold(
     breakBtn,
     () => {
-      btnState.breakPressed = true;
+      touchButtons.break = true;
     },
     () => {
-      btnState.breakPressed = false;
+      touchButtons.break = false;
     }
   );
 
-  /** ---------------------------
-   *  Break action (raycast from screen center)
-   *  --------------------------- */
-  function breakTargetVoxel() {
-    const w = engine.getRenderWidth();
-    const h = engine.getRenderHeight();
-    const ray = scene.createPickingRay(w / 2, h / 2, BABYLON.Matrix.Identity(), camera);
+  bindPressHold(
+    placeBtn,
+    () => {
+      touchButtons.place = true;
+    },
+    () => {
+      touchButtons.place = false;
+    }
+  );
 
-    const hit = scene.pickWithRay(ray, (m) => !!m && m.isEnabled() && m.metadata && m.metadata.isChunk);
-    if (!hit || !hit.hit || !hit.pickedPoint || !hit.getNormal()) return false;
+  window.addEventListener("touchstart", () => setInputDevice("touch"), { passive: true });
+
+  // Keyboard: WASD / arrows to move, Space to jump, Q/E to turn, 1-9 for hotbar slots, V to switch view,
+  // M to mute.
+  // Flying: Space rises, Shift or C sinks.
+  const KEY_MOVE = {
+    KeyW: [0, -1],
+    ArrowUp: [0, -1],
+    KeyS: [0, 1],
+    ArrowDown: [0, 1],
+    KeyA: [-1, 0],
+    ArrowLeft: [-1, 0],
+    KeyD: [1, 0],
+    ArrowRight: [1, 0],
+  };
+  const KEY_LOOK = { KeyQ: -1, KeyE: 1 };
+  const KEY_DESCEND = ["ShiftLeft", "ShiftRight", "KeyC"];
+
+  window.addEventListener("keydown", (e) => {
+    if (e.target && (e.target.tagName === "INPUT" || e.target.tagName === "SELECT")) return;
+    setInputDevice("keyboard");
+    if (e.code === "Space" || e.code in KEY_MOVE) e.preventDefault();
+    if (e.code === "Space" && !e.repeat) input.jump = true;
+    if (/^Digit[1-9]$/.test(e.code)) selectSlot(Number(e.code.slice(5)) - 1);
+    if (e.code === "KeyV" && !e.repeat) setFirstPerson(!view.firstPerson);
+    if (e.code === "KeyM" && !e.repeat) toggleMute();
+    keysDown.add(e.code);
+  });
+  window.addEventListener("keyup", (e) => keysDown.delete(e.code));
+  window.addEventListener("blur", releaseHeldInputs);
+
+  // Mouse: click the canvas to capture the pointer, then move to look, left button breaks, right places.
+  canvas.addEventListener("pointerdown", (e) => {
+    if (e.pointerType !== "mouse") return;
+    setInputDevice("keyboard");
+    if (document.pointerLockElement !== canvas) {
+      if (canvas.requestPointerLock && !playerState.dead) canvas.requestPointerLock();
+      return;
+    }
+    if (e.button === 0) mouseButtons.break = true;
+    if (e.button === 2) mouseButtons.place = true;
+  });
+  window.addEventListener("pointerup", (e) => {
+    if (e.pointerType !== "mouse") return;
+    if (e.button === 0) mouseButtons.break = false;
+    if (e.button === 2) mouseButtons.place = false;
+  });
+  canvas.addEventListener("contextmenu", (e) => e.preventDefault());
+  document.addEventListener("mousemove", (e) => {
+    if (document.pointerLockElement !== canvas) return;
+    input.lookDelta.x += e.movementX || 0;
+    input.lookDelta.y += e.movementY || 0;
+  });
+  document.addEventListener("pointerlockchange", () => {
+    if (document.pointerLockElement !== canvas) mouseButtons.break = mouseButtons.place = false;
+  });
 
-    const n = hit.getNormal(true);
-    const p = hit.pickedPoint;
+  function stickAxis(v) {
+    return Math.abs(v) < GAMEPAD_DEADZONE ? 0 : v;
+  }
 
-    // Move slightly inside the hit block along -normal
-    const inside = p.subtract(n.scale(0.02));
-    const vx = Math.floor(inside.x);
-    const vy = Math.floor(inside.y);
-    const vz = Math.floor(inside.z);
+  // Standard mapping: left stick moves, right stick looks, A jumps, RT breaks, LT places, bumpers cycle slots,
+  // B sinks while flying, Y switches view.
+  function pollGamepad() {
+    const pads = navigator.getGamepads ? navigator.getGamepads() : [];
+    let gp = pad.index !== null ? pads[pad.index] : null;
+    if (!gp) {
+      gp = Array.from(pads).find((p) => p && p.connected) || null;
+      pad.index = gp ? gp.index : null;
+    }
+    if (!gp) return null;
+
+    const pressed = gp.buttons.map((b) => b.pressed || b.value > 0.5);
+    const edge = (i) => pressed[i] && !pad.prevButtons[i];
+    const axes = gp.axes.map(stickAxis);
+    if (pressed.some(Boolean) || axes.some((a) => a !== 0)) setInputDevice("gamepad");
+
+    if (edge(0)) input.jump = true;
+    if (edge(4)) selectSlot(game.selectedSlot() - 1);
+    if (edge(5)) selectSlot(game.selectedSlot() + 1);
+    if (edge(3)) setFirstPerson(!view.firstPerson);
+    pad.break = !!pressed[7];
+    pad.place = !!pressed[6];
+    pad.jump = !!pressed[0];
+    pad.descend = !!pressed[1];
+    pad.prevButtons = pressed;
+    return axes;
+  }
 
-    const cur = world.getBlock(vx, vy, vz);
-    if (cur === BLOCK.AIR) return false;
+  // Merges every device into `input`; called once per frame before anything reads it.
+  function updateInputs() {
+    const axes = pollGamepad();
+
+    let mx = leftJoy.value.x;
+    let my = leftJoy.value.y;
+    let lx = rightJoy.value.x;
+    let ly = rightJoy.value.y;
+
+    for (const code of keysDown) {
+      const m = KEY_MOVE[code];
+      if (m) {
+        mx += m[0];
+        my += m[1];
+      }
+      if (code in KEY_LOOK) lx += KEY_LOOK[code];
+    }
+    if (axes) {
+      mx += axes[0] || 0;
+      my += axes[1] || 0;
+      lx += axes[2] || 0;
+      ly += axes[3] || 0;
+    }
 
-    world.setBlock(vx, vy, vz, BLOCK.AIR);
-    return true;
+    const mLen = Math.hypot(mx, my);
+    const mScale = mLen > 1 ? 1 / mLen : 1;
+    input.move.x = mx * mScale;
+    input.move.y = my * mScale;
+    input.look.x = Math.max(-1, Math.min(1, lx));
+    input.look.y = Math.max(-1, Math.min(1, ly));
+
+    input.breakHeld = touchButtons.break || mouseButtons.break || pad.break;
+    input.placeHeld = touchButtons.place || mouseButtons.place || pad.place;
+    input.jumpHeld = touchButtons.jump || keysDown.has("Space") || pad.jump;
+    input.descendHeld = KEY_DESCEND.some((code) => keysDown.has(code)) || pad.descend;
   }
 
   /** ---------------------------
-   *  Creeper-like enemy
+   *  Block palette hotbar
    *  --------------------------- */
-  // Invisible collider for movement/collisions + separate blocky visuals.
-  const creeper = BABYLON.MeshBuilder.CreateBox("creeper", { width: 0.85, height: 2.0, depth: 0.85 }, scene);
-  creeper.position.set(8, 2, 8);
-  creeper.checkCollisions = true;
-  creeper.isPickable = false;
-  creeper.visibility = 0;
-
-  const creeperVisualRoot = new BABYLON.TransformNode("creeperVisualRoot", scene);
-  creeperVisualRoot.parent = creeper;
-
-  const creeperMat = new BABYLON.StandardMaterial("creeperMat", scene);
-  creeperMat.diffuseColor = new BABYLON.Color3(0.2, 0.75, 0.25);
-  creeperMat.specularColor = new BABYLON.Color3(0.05, 0.05, 0.05);
-
-  const creeperDarkMat = new BABYLON.StandardMaterial("creeperDarkMat", scene);
-  creeperDarkMat.diffuseColor = new BABYLON.Color3(0.06, 0.12, 0.06);
-  creeperDarkMat.specularColor = new BABYLON.Color3(0, 0, 0);
-
-  const torso = BABYLON.MeshBuilder.CreateBox("creeperTorso", { width: 0.78, height: 1.2, depth: 0.62 }, scene);
-  torso.parent = creeperVisualRoot;
-  torso.position.set(0, 0.2, 0);
-  torso.material = creeperMat;
-  torso.isPickable = false;
-
-  const head = BABYLON.MeshBuilder.CreateBox("creeperHead", { size: 0.82 }, scene);
-  head.parent = creeperVisualRoot;
-  head.position.set(0, 1.2, 0);
-  head.material = creeperMat;
-  head.isPickable = false;
-
-  const footL = BABYLON.MeshBuilder.CreateBox("creeperFootL", { width: 0.32, height: 0.75, depth: 0.32 }, scene);
-  footL.parent = creeperVisualRoot;
-  footL.position.set(-0.2, -0.75, 0);
-  footL.material = creeperMat;
-  footL.isPickable = false;
-
-  const footR = BABYLON.MeshBuilder.CreateBox("creeperFootR", { width: 0.32, height: 0.75, depth: 0.32 }, scene);
-  footR.parent = creeperVisualRoot;
-  footR.position.set(0.2, -0.75, 0);
-  footR.material = creeperMat;
-  footR.isPickable = false;
-
-  // Blocky frowny face on the front of the head.
-  const faceParts = [
-    [-0.16, 1.32, 0.43, 0.12, 0.12, 0.04],
-    [0.16, 1.32, 0.43, 0.12, 0.12, 0.04],
-    [0.0, 1.05, 0.43, 0.14, 0.16, 0.04],
-    [-0.1, 0.96, 0.43, 0.12, 0.08, 0.04],
-    [0.1, 0.96, 0.43, 0.12, 0.08, 0.04],
-  ];
-  for (const [x, y, z, w, h, d] of faceParts) {
-    const part = BABYLON.MeshBuilder.CreateBox("creeperFacePart", { width: w, height: h, depth: d }, scene);
-    part.parent = creeperVisualRoot;
-    part.position.set(x, y, z);
-    part.material = creeperDarkMat;
-    part.isPickable = false;
-  }
-
-  const creeperState = {
-    dir: new BABYLON.Vector3(1, 0, 0),
-    nextWanderAt: 0,
-    fuse: 0,
-    chasing: false,
-  };
+  // One slot per placeable block type (GameSim.PALETTE).
+  const hotbarEl = makeHotbar();
+  const hotbarSlots = [];
+  const hotbarCounts = [];
+
+  function selectSlot(i) {
+    const selected = game.selectSlot(i);
+    hotbarSlots.forEach((el, j) => {
+      el.style.outline = j === selected ? "3px solid #fff" : "none";
+    });
+  }
 
-  // Camera shake
-  const shake = { t: 0, amp: 0 };
-  const camShakeOffset = new BABYLON.Vector3(0, 0, 0);
+  PALETTE.forEach((entry, i) => {
+    const c = COLOR[entry.id] || new BABYLON.Color4(1, 1, 1, 1);
+    const slot = document.createElement("div");
+    slot.title = entry.name.toLowerCase();
+    slot.style.width = "44px";
+    slot.style.height = "44px";
+    slot.style.borderRadius = "10px";
+    slot.style.outlineOffset = "2px";
+    slot.style.background = `rgb(${Math.round(c.r * 255)}, ${Math.round(c.g * 255)}, ${Math.round(c.b * 255)})`;
+    slot.style.boxShadow = "inset 0 -6px 0 rgba(0,0,0,0.18)";
+    slot.style.position = "relative";
+
+    const count = document.createElement("div");
+    count.style.position = "absolute";
+    count.style.right = "4px";
+    count.style.bottom = "2px";
+    count.style.font = "700 13px system-ui, -apple-system, Segoe UI, Roboto, Arial";
+    count.style.color = "#fff";
+    count.style.textShadow = "0 1px 2px rgba(0,0,0,0.8)";
+    count.style.pointerEvents = "none";
+    slot.appendChild(count);
+    hotbarCounts.push(count);
+    slot.addEventListener(
+      "pointerdown",
+      (e) => {
+        e.preventDefault();
+        selectSlot(i);
+      },
+      { passive: false }
+    );
+    slot.addEventListener("touchstart", (e) => e.preventDefault(), { passive: false });
+    hotbarEl.appendChild(slot);
+    hotbarSlots.push(slot);
+  });
+  selectSlot(0);
+
+  // Slots show how many of each block we carry; empty ones fade out. Creative has endless blocks.
+  function updateInventoryHud() {
+    const endless = game.mode().instantBuild;
+    PALETTE.forEach((entry, i) => {
+      const n = inventory.count(entry.id);
+      hotbarCounts[i].textContent = endless ? "" : n > 0 ? String(n) : "";
+      hotbarSlots[i].style.opacity = endless || n > 0 ? "1" : "0.35";
+    });
+  }
+  inventory.onChange = updateInventoryHud;
+  updateInventoryHud();
 
-  function triggerShake(amplitude, duration) {
-    shake.amp = Math.max(shake.amp, amplitude);
-    shake.t = Math.max(shake.t, duration);
+  /** ---------------------------
+   *  Explosion effects + debris
+   *  --------------------------- */
+  // What a blast the simulation has just applied looks and sounds like; the other players see it too.
+  function onExplosion(pos, radius, destroyed) {
+    spawnBlastDebris(pos, destroyed);
+    playExplosionSound(pos, radius);
+    netSendExplosion(pos, radius, destroyed);
+
+    // small shake
+    triggerShake(0.35, 0.25);
   }
 
-  function explosionAt(pos, radius) {
-    const cx = Math.floor(pos.x);
-    const cy = Math.floor(pos.y);
-    const cz = Math.floor(pos.z);
-    const r2 = radius * radius;
-
-    // Keep a small support pad under the player so creeper explosions never drop us.
-    const supportY = Math.floor(player.position.y - 0.9);
-    const supportX = Math.floor(player.position.x);
-    const supportZ = Math.floor(player.position.z);
-
-    const minX = cx - radius,
-      maxX = cx + radius;
-    const minY = cy - radius,
-      maxY = cy + radius;
-    const minZ = cz - radius,
-      maxZ = cz + radius;
-
-    for (let z = minZ; z <= maxZ; z++) {
-      for (let y = minY; y <= maxY; y++) {
-        for (let x = minX; x <= maxX; x++) {
-          const dx = x - cx,
-            dy = y - cy,
-            dz = z - cz;
-          if (dx * dx + dy * dy + dz * dz > r2) continue;
-
-          // Preserve a 3x3 footing area directly beneath the player.
-          const inPlayerPad =
-            y === supportY && Math.abs(x - supportX) <= 1 && Math.abs(z - supportZ) <= 1;
-          if (inPlayerPad) continue;
-
-          if (world.getBlock(x, y, z) !== BLOCK.AIR) world.setBlock(x, y, z, BLOCK.AIR);
-        }
-      }
+  // One solid particle system with a fixed pool of small cubes; colours come from the broken blocks.
+  const DEBRIS_MAX = 256;
+  const DEBRIS_PER_BLAST = 48;
+  const DEBRIS_LIFE = 1.2; // seconds
+
+  const debris = new BABYLON.SolidParticleSystem("debris", scene, { updatable: true, isPickable: false });
+  const debrisShape = BABYLON.MeshBuilder.CreateBox("debrisShape", { size: 0.22 }, scene);
+  debris.addShape(debrisShape, DEBRIS_MAX);
+  debrisShape.dispose();
+  const debrisMesh = debris.buildMesh();
+  debrisMesh.isPickable = false;
+  debrisMesh.alwaysSelectAsActiveMesh = true; // particles fly outside the build-time bounds
+  debris.computeBoundingBox = false;
+  for (const p of debris.particles) {
+    p.isVisible = false;
+    p.life = 0;
+  }
+  debris.setParticles();
+
+  let debrisNext = 0;
+  let debrisLive = 0;
+
+  // `destroyed` is a flat [x, y, z, block, ...] list; at most DEBRIS_PER_BLAST of them throw a chunk.
+  function spawnBlastDebris(pos, destroyed) {
+    const count = destroyed.length / 4;
+    if (!count) return;
+    const stride = Math.max(1, Math.floor(count / DEBRIS_PER_BLAST));
+    for (let i = 0; i < count; i += stride) {
+      const x = destroyed[i * 4] + 0.5;
+      const y = destroyed[i * 4 + 1] + 0.5;
+      const z = destroyed[i * 4 + 2] + 0.5;
+      const c = COLOR[destroyed[i * 4 + 3]];
+
+      const p = debris.particles[debrisNext];
+      debrisNext = (debrisNext + 1) % DEBRIS_MAX;
+      if (p.life <= 0) debrisLive++;
+      p.position.set(x, y, z);
+      p.velocity.set(x - pos.x, y - pos.y + 1.5, z - pos.z).normalize().scaleInPlace(4 + Math.random() * 5);
+      p.rotation.set(Math.random() * 3, Math.random() * 3, 0);
+      p.color = c ? new BABYLON.Color4(c.r, c.g, c.b, 1) : new BABYLON.Color4(1, 1, 1, 1);
+      p.scaling.setAll(1);
+      p.life = DEBRIS_LIFE * (0.6 + Math.random() * 0.4);
+      p.isVisible = true;
     }
+  }
 
-    // Reassert support pad in case the area was already damaged by earlier blasts.
-    for (let z = supportZ - 1; z <= supportZ + 1; z++) {
-      for (let x = supportX - 1; x <= supportX + 1; x++) {
-        world.setBlock(x, supportY, z, BLOCK.ROAD);
+  function updateDebris(dt) {
+    if (!debrisLive) return;
+    for (const p of debris.particles) {
+      if (p.life <= 0) continue;
+      p.life -= dt;
+      if (p.life <= 0) {
+        p.isVisible = false;
+        debrisLive--;
+        continue;
       }
+      p.velocity.y -= 18.5 * dt;
+      p.position.addInPlace(p.velocity.scale(dt));
+      p.rotation.x += dt * 6;
+      p.scaling.setAll(Math.min(1, p.life * 3)); // shrink out over the last third of a second
     }
+    debris.setParticles();
+  }
 
-    // Keep vertical momentum from carrying us downward right after the blast.
-    if (move.vel.y < 0) move.vel.y = 0;
-    move.grounded = true;
-    move.lastGroundedTime = nowSec();
+  /** ---------------------------
+   *  Camera placement
+   *  --------------------------- */
+  // The simulation's steps turn `view` and pull the follow camera in from walls (game-sim.js); each frame
+  // puts the drawn cameras where that says.
+
+  // updateCameraZoom only runs in simulation steps, between which the drawn player is blended, so this pulls
+  // in where the camera is right now as well. Runs each frame after applyCameraShake so a shaken camera is
+  // kept out of walls too.
+  function keepCameraClear() {
+    const eye = player.position.add(new BABYLON.Vector3(0, PLAYER_EYE_HEIGHT, 0));
+    const toCam = camera.position.subtract(eye);
+    const camLen = toCam.length();
+    if (camLen < 1e-3) return;
+    const dir = toCam.scale(1 / camLen);
+    const hit = VoxelPhysics.raycast(eye, dir, camLen + GameSim.CAMERA_WALL_GAP, game.isSolidAt);
+    if (hit) camera.position.copyFrom(eye.add(dir.scale(Math.max(0, hit.dist - GameSim.CAMERA_WALL_GAP))));
+  }
 
-    // small shake
-    triggerShake(0.35, 0.25);
+  // Where aimRay starts its third-person ray from, around the drawn player. No chase lag: a camera trailing
+  // behind a turn would put the crosshair off the voxel that break/place pick.
+  function placeFollowCamera() {
+    const p = player.position;
+    const off = game.followOffset();
+    const yawRad = (view.yaw * Math.PI) / 180;
+    camera.rotationOffset = view.yaw;
+    camera.position.set(p.x + Math.sin(yawRad) * off.radius, p.y + off.height, p.z + Math.cos(yawRad) * off.radius);
   }
 
-  function respawnCreeper() {
-    // pick a random city spot on ground
-    for (let tries = 0; tries < 50; tries++) {
-      const seed = Math.random() * 99999;
-      const x = Math.floor((seed % 1) * 2 * CITY_HALF - CITY_HALF);
-      const z = Math.floor((((seed * 1.37) % 1) * 2 * CITY_HALF) - CITY_HALF);
-      const y = 2;
+  // Runs after the player has moved so the view doesn't lag a frame behind.
+  function placeFirstPersonCamera() {
+    const p = player.position;
+    fpCamera.position.set(p.x, p.y + PLAYER_EYE_HEIGHT, p.z);
+    fpCamera.rotation.set(view.fpPitch, (view.yaw * Math.PI) / 180 + Math.PI, 0); // faces the walking direction
+  }
 
-      // avoid roads center a bit
-      if ((Math.abs(x) <= 4) || (Math.abs(z) <= 4)) continue;
+  /** ---------------------------
+   *  Player health HUD + death screen
+   *  --------------------------- */
+  // The simulation keeps the health and decides on damage and respawns; this is the HUD side of it.
+  const hurtFlashEl = makeOverlay("hurtFlash", "radial-gradient(circle, rgba(255,0,0,0.05) 40%, rgba(200,0,0,0.55))");
+  hurtFlashEl.style.transition = "opacity 0.35s ease-out";
+
+  const deathScreenEl = makeOverlay("deathScreen", "rgba(60,0,0,0.6)");
+  const deathTextEl = document.createElement("div");
+  deathTextEl.style.whiteSpace = "pre-line";
+  deathTextEl.style.textAlign = "center";
+  deathScreenEl.appendChild(deathTextEl);
+  const respawnBtn = document.createElement("button");
+  respawnBtn.textContent = "Respawn";
+  respawnBtn.style.font = "600 18px system-ui, -apple-system, Segoe UI, Roboto, Arial";
+  respawnBtn.style.padding = "14px 28px";
+  respawnBtn.style.borderRadius = "14px";
+  respawnBtn.style.border = "0";
+  respawnBtn.style.background = "rgba(255,255,255,0.85)";
+  respawnBtn.style.color = "#111";
+  deathScreenEl.appendChild(respawnBtn);
+  respawnBtn.addEventListener(
+    "pointerdown",
+    (e) => {
+      e.preventDefault();
+      input.respawn = true; // respawns inside a step, so recordings see it
+    },
+    { passive: false }
+  );
 
-      creeper.position.set(x, y, z);
-      creeperState.fuse = 0;
-      creeperState.nextWanderAt = 0;
-      return;
-    }
-    creeper.position.set(10, 2, 10);
+  function updateHealthHud() {
+    healthEl.textContent = `\u2665 ${Math.ceil(playerState.health)}/${GameSim.PLAYER_MAX_HEALTH}`;
+  }
+  updateHealthHud();
+
+  function onPlayerHurt() {
+    updateHealthHud();
+
+    // Flash: jump to visible, then let the CSS transition fade it out.
+    hurtFlashEl.style.transition = "none";
+    hurtFlashEl.style.opacity = "1";
+    void hurtFlashEl.offsetWidth;
+    hurtFlashEl.style.transition = "opacity 0.35s ease-out";
+    hurtFlashEl.style.opacity = "0";
+  }
+
+  function onPlayerDied(cause) {
+    releaseHeldInputs();
+    if (document.pointerLockElement === canvas && document.exitPointerLock) document.exitPointerLock();
+    recordRun();
+    const gameOver = game.mode().gameOver;
+    const how = cause === "fall" ? "You fell too far" : "You were blown up";
+    deathTextEl.textContent = `${gameOver ? "Game over: " : ""}${how}\n${runSummary()}`;
+    respawnBtn.textContent = gameOver ? "Play again" : "Respawn";
+    deathScreenEl.style.opacity = "1";
+    deathScreenEl.style.pointerEvents = "auto";
+  }
+
+  function hideDeathScreen() {
+    deathScreenEl.style.opacity = "0";
+    deathScreenEl.style.pointerEvents = "none";
+  }
+
+  function onPlayerRespawned() {
+    updateHealthHud();
+    hideDeathScreen();
   }
 
   /** ---------------------------
-   *  Movement + Camera look (right joystick)
+   *  Runs, survival waves and high scores
    *  --------------------------- */
-  let camYaw = 180; // degrees (FollowCamera rotationOffset)
-  let camPitch = 4; // heightOffset baseline
-
-  function updateCameraLook(dt) {
-    const lookX = rightJoy.value.x;
-    const lookY = rightJoy.value.y;
-
-    // deadzone
-    const dz = 0.08;
-    const lx = Math.abs(lookX) < dz ? 0 : lookX;
-    const ly = Math.abs(lookY) < dz ? 0 : lookY;
-
-    // sensitivity tuned for iPad thumb
-    camYaw += lx * 140 * dt;
-    camPitch += -ly * 6.0 * dt;
-
-    // clamp pitch (heightOffset)
-    camPitch = Math.max(2.0, Math.min(7.5, camPitch));
-
-    camera.rotationOffset = camYaw;
-    camera.heightOffset = camPitch;
-  }
-
-  function cameraForwardXZ() {
-    // Convert yaw to forward vector (world)
-    const yawRad = (camYaw * Math.PI) / 180;
-    // FollowCamera rotationOffset is degrees around Y; forward is opposite of camera-to-target vector
-    // We'll define "forward" as facing where the camera looks (from player perspective).
-    const fx = -Math.sin(yawRad);
-    const fz = -Math.cos(yawRad);
-    const v = new BABYLON.Vector3(fx, 0, fz);
-    v.normalize();
-    return v;
-  }
-
-  function cameraRightXZ() {
-    const f = cameraForwardXZ();
-    const r = new BABYLON.Vector3(f.z, 0, -f.x);
-    r.normalize();
-    return r;
-  }
-
-  function updatePlayer(dt) {
-    // Determine grounded (simple: if vertical velocity ~0 and we collide down soon)
-    // We'll use a short ray down from player to check if close to ground.
-    const origin = player.position.add(new BABYLON.Vector3(0, 0.2, 0));
-    const down = new BABYLON.Ray(origin, new BABYLON.Vector3(0, -1, 0), 0.35);
-    const groundHit = scene.pickWithRay(down, (m) => m && m.metadata && m.metadata.isChunk && m.isEnabled());
-    const isGrounded = !!(groundHit && groundHit.hit);
-
-    move.grounded = isGrounded;
-    if (isGrounded) move.lastGroundedTime = nowSec();
-
-    // Wish direction from left joystick in camera space
-    const inX = leftJoy.value.x;
-    const inY = leftJoy.value.y;
-
-    const deadzone = 0.12;
-    const ax = Math.abs(inX) < deadzone ? 0 : inX;
-    const ay = Math.abs(inY) < deadzone ? 0 : inY;
-
-    const f = cameraForwardXZ();
-    const r = cameraRightXZ();
-
-    move.wish.copyFrom(f.scale(-ay)).addInPlace(r.scale(ax));
-    const wishLen = move.wish.length();
-    if (wishLen > 1e-3) move.wish.scaleInPlace(1 / Math.max(1, wishLen)); // normalize max 1
-
-    const speed = 5.2; // blocks/sec
-    const accel = 18.0;
-    const friction = 12.0;
-
-    // horizontal velocity
-    const hv = new BABYLON.Vector3(move.vel.x, 0, move.vel.z);
-
-    if (wishLen < 1e-3) {
-      // friction
-      const drop = friction * dt;
-      const newLen = Math.max(0, hv.length() - drop);
-      if (hv.length() > 1e-3) hv.scaleInPlace(newLen / hv.length());
-    } else {
-      // accelerate toward wish
-      const desired = move.wish.scale(speed);
-      const delta = desired.subtract(hv);
-      const maxStep = accel * dt;
-      const dlen = delta.length();
-      if (dlen > maxStep) delta.scaleInPlace(maxStep / dlen);
-      hv.addInPlace(delta);
+  // A run lasts from (re)spawning or picking a mode until death or the next mode switch; the simulation
+  // scores it and this file keeps the best ones.
+  const HIGH_SCORE_KEY = "cityCreeper.highScores";
+  const HIGH_SCORES_KEPT = 5;
+
+  function formatDuration(sec) {
+    const s = Math.floor(sec);
+    return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, "0")}`;
+  }
+
+  function formatScore(value) {
+    switch (game.mode().score) {
+      case "time":
+        return formatDuration(value);
+      case "built":
+        return `${value} built`;
+      default:
+        return `${value} pts`;
     }
+  }
 
-    move.vel.x = hv.x;
-    move.vel.z = hv.z;
+  // { modeName: [{ score, run, at }, ...] }, best first.
+  function loadHighScores() {
+    try {
+      const table = JSON.parse(readStorage(HIGH_SCORE_KEY));
+      return table && typeof table === "object" ? table : {};
+    } catch (err) {
+      return {};
+    }
+  }
 
-    // gravity
-    const grav = -18.5;
-    move.vel.y += grav * dt;
+  function bestScore() {
+    const list = loadHighScores()[game.modeName()];
+    return Array.isArray(list) && list.length ? list[0].score : 0;
+  }
 
-    // jump (with small coyote time)
-    const coyote = 0.12;
-    if (move.jumpRequested) {
-      move.jumpRequested = false;
-      if (move.grounded || nowSec() - move.lastGroundedTime <= coyote) {
-        move.vel.y = 7.2;
-      }
+  // Puts the run on its mode's table. Safe to call more than once per run: the run's entry is replaced.
+  function recordRun() {
+    const value = game.runScore();
+    if (value <= 0 || replay.active) return; // a replayed run was already scored when it was played
+    const modeName = game.modeName();
+    const table = loadHighScores();
+    const list = (Array.isArray(table[modeName]) ? table[modeName] : []).filter((e) => e.run !== run.id);
+    list.push({ score: value, run: run.id, at: Date.now() });
+    list.sort((a, b) => b.score - a.score);
+    table[modeName] = list.slice(0, HIGH_SCORES_KEPT);
+    writeStorage(HIGH_SCORE_KEY, JSON.stringify(table));
+    run.best = table[modeName][0].score;
+  }
+
+  // Tags each new run for the high-score table.
+  function onRunStarted() {
+    run.id = Date.now();
+    run.best = bestScore();
+  }
+
+  // Death-screen summary of the run that just ended.
+  function runSummary() {
+    const value = game.runScore();
+    const waveText = game.mode().score === "points" ? `Wave ${run.wave} · ` : "";
+    const bestText = value > 0 && value >= run.best ? "New best!" : `Best ${formatScore(run.best)}`;
+    return `${waveText}${formatScore(value)} · ${bestText}`;
+  }
+
+  function updateScoreHud() {
+    const mode = game.mode();
+    const best = Math.max(run.best, game.runScore());
+    let text = `${formatScore(game.runScore())} · best ${formatScore(best)}`;
+    if (mode.score === "time") text = `Alive ${text}`;
+    if (mode.score === "points") {
+      const wave = run.breather > 0 ? `Wave ${run.wave + 1} in ${Math.ceil(run.breather)}s` : `Wave ${run.wave} · ${run.lastLive + run.toSpawn} left`;
+      text = `${wave} · ${text} · ${formatDuration(run.elapsed)}`;
     }
+    scoreEl.textContent = text;
+  }
 
-    // Move with collisions
-    const disp = move.vel.scale(dt);
-    player.moveWithCollisions(disp);
+  function setMode(name) {
+    if (!GameSim.isGameMode(name) || name === game.modeName()) return;
+    stopRecording(); // a recording covers one mode
+    recordRun();
+    writeStorage(MODE_STORAGE_KEY, name);
+    modeSelectEl.value = name;
+    game.setMode(name);
+    updateInventoryHud();
+  }
 
-    // If we hit ground, damp vertical velocity
-    if (move.grounded && move.vel.y < 0) move.vel.y = -0.5;
+  for (const [name, mode] of Object.entries(GAME_MODES)) {
+    const opt = document.createElement("option");
+    opt.value = name;
+    opt.textContent = mode.label;
+    modeSelectEl.appendChild(opt);
   }
+  modeSelectEl.value = game.modeName();
+  modeSelectEl.addEventListener("change", () => {
+    setMode(modeSelectEl.value);
+    modeSelectEl.blur(); // hand the keyboard back to the game
+  });
+
+  // Runs without a death (Creative, or closing the tab mid-run) still count.
+  window.addEventListener("pagehide", recordRun);
+  game.startRun();
 
   /** ---------------------------
-   *  Creeper AI update
+   *  Day / night sky
    *  --------------------------- */
-  function updateCreeper(dt) {
-    const playerPos = player.position;
-    const cPos = creeper.position;
-
-    const toPlayer = playerPos.subtract(cPos);
-    const dist = Math.sqrt(toPlayer.x * toPlayer.x + toPlayer.z * toPlayer.z); // XZ distance
-
-    const chaseRange = 14;
-    const explodeRange = 2.1;
-    const speedWander = 1.6;
-    const speedChase = 2.6;
-
-    const t = nowSec();
-    creeperState.chasing = dist < chaseRange;
-
-    if (!creeperState.chasing) {
-      // wander
-      if (t >= creeperState.nextWanderAt) {
-        creeperState.nextWanderAt = t + 1.0 + Math.random() * 1.2;
-        const ang = Math.random() * Math.PI * 2;
-        creeperState.dir.set(Math.cos(ang), 0, Math.sin(ang));
-      }
-      const step = creeperState.dir.scale(speedWander * dt);
-      creeper.moveWithCollisions(step);
-      if (creeperState.dir.lengthSquared() > 1e-4) {
-        creeperVisualRoot.rotation.y = Math.atan2(creeperState.dir.x, creeperState.dir.z);
-      }
-      creeperState.fuse = 0;
-    } else {
-      // chase
-      const dir = new BABYLON.Vector3(toPlayer.x, 0, toPlayer.z);
-      const len = dir.length();
-      if (len > 1e-3) dir.scaleInPlace(1 / len);
-
-      const step = dir.scale(speedChase * dt);
-      creeper.moveWithCollisions(step);
-      if (len > 1e-3) creeperVisualRoot.rotation.y = Math.atan2(dir.x, dir.z);
-
-      // fuse/explosion
-      if (dist < explodeRange) {
-        creeperState.fuse += dt;
-        // visual "about to explode" cue
-        const pulse = 0.5 + 0.5 * Math.sin(creeperState.fuse * 18);
-        creeperVisualRoot.scaling.setAll(1 + pulse * 0.08);
-
-        if (creeperState.fuse >= 1.25) {
-          // explode: remove voxels within radius
-          const boomPos = creeper.position.clone();
-          explosionAt(boomPos, 4);
-
-          // reset creeper
-          creeperVisualRoot.scaling.setAll(1);
-          respawnCreeper();
-        }
-      } else {
-        creeperState.fuse = Math.max(0, creeperState.fuse - dt * 0.8);
-        creeperVisualRoot.scaling.setAll(1);
-      }
+  // The simulation runs the clock (dayNight.time, 0..1 from midnight, and dayNight.daylight); each frame
+  // lights the scene from it.
+  const SKY_DAY = new BABYLON.Color3(0.75, 0.87, 1.0);
+  const SKY_NIGHT = new BABYLON.Color3(0.03, 0.04, 0.1);
+  const SKY_DUSK = new BABYLON.Color3(0.95, 0.55, 0.35);
+
+  // The nearest columns outside the round STREAM_LOAD_RADIUS are about 72 blocks away, so daytime fog
+  // closes in one chunk short of the radius to keep the streaming edge hidden. Nights are murkier.
+  const FOG_END_DAY = (GameSim.STREAM_LOAD_RADIUS - 1) * CHUNK_SIZE;
+  const FOG_END_NIGHT = 48;
+
+  scene.fogMode = BABYLON.Scene.FOGMODE_LINEAR;
+  scene.fogColor = SKY_DAY.clone();
+
+  // Street lamps glow on their own (emissive); a few point lights near the player light the street.
+  const STREET_LIGHT_COUNT = 4;
+  const STREET_LIGHT_SEARCH = 40; // blocks
+  const streetLights = [];
+  for (let i = 0; i < STREET_LIGHT_COUNT; i++) {
+    const light = new BABYLON.PointLight(`streetLight${i}`, new BABYLON.Vector3(0, -100, 0), scene);
+    light.diffuse = new BABYLON.Color3(1.0, 0.85, 0.55);
+    light.specular = new BABYLON.Color3(0, 0, 0);
+    light.range = 14;
+    light.intensity = 0;
+    streetLights.push(light);
+  }
+  let streetLightRefresh = 0;
+
+  // Moves the street lights onto the nearest intact lamps.
+  function placeStreetLights() {
+    const p = player.position;
+    const lamps = cityGen
+      .streetLampsNear(p.x, p.z, STREET_LIGHT_SEARCH)
+      .filter((l) => world.getBlock(l.x, l.y, l.z) === BLOCK.LAMP)
+      .sort((a, b) => Math.hypot(a.x - p.x, a.z - p.z) - Math.hypot(b.x - p.x, b.z - p.z));
+    streetLights.forEach((light, i) => {
+      const l = lamps[i];
+      if (l) light.position.set(l.x + 0.5, l.y + 0.5, l.z + 0.5);
+      light.setEnabled(!!l);
+    });
+  }
+
+  function updateSky(dt) {
+    const a = (dayNight.time - 0.25) * Math.PI * 2;
+    const sunY = Math.sin(a);
+    const day = dayNight.daylight;
+
+    dir.direction.set(-Math.cos(a), -Math.max(0.2, sunY), -0.35);
+    dir.intensity = 0.6 * day;
+    hemi.intensity = 0.15 + 0.75 * day;
+
+    // Sky: night to day, pulled toward orange while the sun is near the horizon.
+    const dusk = Math.max(0, 1 - Math.abs(sunY) * 4) * 0.5;
+    const sky = BABYLON.Color3.Lerp(BABYLON.Color3.Lerp(SKY_NIGHT, SKY_DAY, day), SKY_DUSK, dusk);
+    scene.clearColor.set(sky.r, sky.g, sky.b, 1);
+    scene.fogColor.copyFrom(sky);
+    scene.fogEnd = FOG_END_NIGHT + (FOG_END_DAY - FOG_END_NIGHT) * day;
+    scene.fogStart = scene.fogEnd * 0.6;
+
+    const night = 1 - day;
+    streetLightRefresh -= dt;
+    if (night > 0.05 && streetLightRefresh <= 0) {
+      streetLightRefresh = 0.5;
+      placeStreetLights();
     }
+    for (const light of streetLights) light.intensity = night > 0.05 ? 0.9 * night : 0;
+  }
 
-    // keep creeper near y=2-ish (soft)
-    if (creeper.position.y < 1.5) creeper.position.y = 2;
-    if (creeper.position.y > 6) creeper.position.y = 2;
+  function formatClock() {
+    const minutes = Math.floor(dayNight.time * 24 * 60);
+    const hh = String(Math.floor(minutes / 60)).padStart(2, "0");
+    const mm = String(minutes % 60).padStart(2, "0");
+    return `${game.isNight() ? "\u263E" : "\u2600"} ${hh}:${mm}`;
   }
 
   /** ---------------------------
    *  Per-frame chunk rebuild throttle + camera shake
    *  --------------------------- */
+  const shake = { t: 0, amp: 0 };
+  const camShakeOffset = new BABYLON.Vector3(0, 0, 0);
+
+  function triggerShake(amplitude, duration) {
+    shake.amp = Math.max(shake.amp, amplitude);
+    shake.t = Math.max(shake.t, duration);
+  }
+
   function applyCameraShake(dt) {
     if (shake.t <= 0) {
       camShakeOffset.set(0, 0, 0);
@@ -1158,7 +1490,7 @@
     );
 
     // FollowCamera updates its position internally; apply a small additive offset after update.
-    camera.position.addInPlace(camShakeOffset);
+    scene.activeCamera.position.addInPlace(camShakeOffset);
 
     if (shake.t <= 0) {
       shake.amp = 0;
@@ -1166,40 +1498,760 @@
     }
   }
 
+  /** ---------------------------
+   *  Sound (procedural WebAudio)
+   *  --------------------------- */
+  // Every effect is built from oscillators and one shared noise buffer, so there are no audio files.
+  // Browsers only start audio from a user gesture (iOS Safari insists on something being played inside
+  // it), so the context is created and unlocked by the first touch, click or key press.
+  const sound = { ctx: null, master: null, noise: null, hisses: new Map() }; // hisses: creeper -> nodes
+  const AUDIO_UNLOCK_EVENTS = ["touchend", "pointerdown", "keydown"];
+
+  // Break sounds per block: a filtered noise burst, plus a knock (`tone`, Hz) or glassy partials (`chime`).
+  const BREAK_SOUNDS = {
+    [BLOCK.ROAD]: { filter: "lowpass", freq: 700, q: 0.7, dur: 0.22, gain: 0.9, tone: 70 },
+    [BLOCK.BUILDING]: { filter: "bandpass", freq: 900, q: 0.8, dur: 0.2, gain: 0.8, tone: 110 },
+    [BLOCK.CRATE]: { filter: "bandpass", freq: 1600, q: 1.5, dur: 0.12, gain: 0.6, tone: 210 },
+    [BLOCK.SIDEWALK]: { filter: "bandpass", freq: 1200, q: 0.9, dur: 0.16, gain: 0.7, tone: 140 },
+    [BLOCK.GRASS]: { filter: "highpass", freq: 2200, q: 0.7, dur: 0.14, gain: 0.45 },
+    [BLOCK.TNT]: { filter: "bandpass", freq: 500, q: 1.2, dur: 0.15, gain: 0.6, tone: 160 },
+    [BLOCK.GLASS]: { filter: "highpass", freq: 4000, q: 0.7, dur: 0.3, gain: 0.5, chime: [2637, 3520, 4186] },
+    [BLOCK.LAMP]: { filter: "highpass", freq: 3000, q: 0.7, dur: 0.25, gain: 0.45, chime: [1760, 2349] },
+  };
+
+  function unlockAudio() {
+    const AudioCtx = window.AudioContext || window.webkitAudioContext;
+    if (!AudioCtx) {
+      stopUnlockingAudio();
+      return;
+    }
+    if (!sound.ctx) {
+      const ctx = new AudioCtx();
+      sound.ctx = ctx;
+      sound.master = ctx.createGain();
+      sound.master.connect(ctx.destination);
+      sound.noise = ctx.createBuffer(1, ctx.sampleRate, ctx.sampleRate);
+      const data = sound.noise.getChannelData(0);
+      for (let i = 0; i < data.length; i++) data[i] = Math.random() * 2 - 1;
+      applySoundSettings(settings);
+    }
+    const ctx = sound.ctx;
+    const blip = ctx.createBufferSource();
+    blip.buffer = ctx.createBuffer(1, 1, ctx.sampleRate);
+    blip.connect(ctx.destination);
+    blip.start(0);
+    if (ctx.state === "running") stopUnlockingAudio();
+    else ctx.resume().then(() => ctx.state === "running" && stopUnlockingAudio(), () => {});
+  }
+
+  function listenForAudioUnlock() {
+    for (const type of AUDIO_UNLOCK_EVENTS) window.addEventListener(type, unlockAudio, true);
+  }
+
+  function stopUnlockingAudio() {
+    for (const type of AUDIO_UNLOCK_EVENTS) window.removeEventListener(type, unlockAudio, true);
+  }
+
+  listenForAudioUnlock();
+
+  // Nothing plays in a background tab; iOS may need another touch to get going again afterwards.
+  document.addEventListener("visibilitychange", () => {
+    if (!sound.ctx) return;
+    if (document.hidden) {
+      sound.ctx.suspend();
+    } else {
+      sound.ctx.resume();
+      listenForAudioUnlock();
+    }
+  });
+
+  function applySoundSettings(s) {
+    muteBtnEl.textContent = s.muted ? "Sound: off" : "Sound: on";
+    if (sound.master) sound.master.gain.value = s.muted ? 0 : s.volume;
+  }
+  settingsHooks.push(applySoundSettings);
+  applySoundSettings(settings);
+
+  function toggleMute() {
+    settings.muted = !settings.muted;
+    applySettings();
+    saveSettings();
+    syncSettingsPanel();
+  }
+  muteBtnEl.addEventListener("click", toggleMute);
+
+  function audible() {
+    return !!sound.ctx && sound.ctx.state === "running" && !settings.muted;
+  }
+
+  // Older Safari only has the setPosition()/setOrientation() forms.
+  function setPannerPosition(panner, p) {
+    if (panner.positionX) {
+      panner.positionX.value = p.x;
+      panner.positionY.value = p.y;
+      panner.positionZ.value = p.z;
+    } else {
+      panner.setPosition(p.x, p.y, p.z);
+    }
+  }
+
+  // Node to connect a sound to: a panner at `pos` that quietens with distance, or the master bus.
+  function soundOutput(pos, refDistance) {
+    if (!pos) return sound.master;
+    const panner = sound.ctx.createPanner();
+    panner.panningModel = "equalpower";
+    panner.distanceModel = "inverse";
+    panner.refDistance = refDistance;
+    panner.rolloffFactor = 1.2;
+    setPannerPosition(panner, pos);
+    panner.connect(sound.master);
+    return panner;
+  }
+
+  function noiseBurst(out, { filter, freq, q, dur, gain, delay = 0 }) {
+    const ctx = sound.ctx;
+    const t = ctx.currentTime + delay;
+    const src = ctx.createBufferSource();
+    src.buffer = sound.noise;
+    src.loop = true; // long bursts (a big blast's rumble) outlast the one-second buffer
+    const f = ctx.createBiquadFilter();
+    f.type = filter;
+    f.frequency.value = freq;
+    f.Q.value = q;
+    const g = ctx.createGain();
+    g.gain.setValueAtTime(gain, t);
+    g.gain.exponentialRampToValueAtTime(0.001, t + dur);
+    src.connect(f).connect(g).connect(out);
+    src.start(t, Math.random() * 0.5, dur + 0.05);
+  }
+
+  function tone(out, { wave = "sine", from, to = from, dur, gain, delay = 0 }) {
+    const ctx = sound.ctx;
+    const t = ctx.currentTime + delay;
+    const osc = ctx.createOscillator();
+    osc.type = wave;
+    osc.frequency.setValueAtTime(from, t);
+    if (to !== from) osc.frequency.exponentialRampToValueAtTime(to, t + dur);
+    const g = ctx.createGain();
+    g.gain.setValueAtTime(0.0001, t);
+    g.gain.exponentialRampToValueAtTime(gain, t + 0.005);
+    g.gain.exponentialRampToValueAtTime(0.0001, t + dur);
+    osc.connect(g).connect(out);
+    osc.start(t);
+    osc.stop(t + dur + 0.05);
+  }
+
+  function playBreakSound(blockId, cell) {
+    if (!audible()) return;
+    const recipe = BREAK_SOUNDS[blockId] || BREAK_SOUNDS[BLOCK.BUILDING];
+    const out = soundOutput({ x: cell.x + 0.5, y: cell.y + 0.5, z: cell.z + 0.5 }, 3);
+    noiseBurst(out, recipe);
+    if (recipe.tone) tone(out, { wave: "triangle", from: recipe.tone, to: recipe.tone * 0.6, dur: recipe.dur, gain: 0.5 });
+    if (recipe.chime) {
+      recipe.chime.forEach((hz, i) => tone(out, { from: hz, dur: 0.35, gain: 0.12, delay: i * 0.03 + Math.random() * 0.02 }));
+    }
+  }
+
+  function playJumpSound() {
+    if (!audible()) return;
+    tone(sound.master, { from: 180, to: 320, dur: 0.12, gain: 0.12 });
+  }
+
+  // Harder landings thump louder; stepping off a kerb stays quiet.
+  function playLandSound(impactSpeed) {
+    if (!audible() || impactSpeed < 3) return;
+    const k = Math.min(1, impactSpeed / GameSim.FALL_SAFE_SPEED);
+    noiseBurst(sound.master, { filter: "lowpass", freq: 300 + 300 * k, q: 0.7, dur: 0.12 + 0.1 * k, gain: 0.25 + 0.5 * k });
+  }
+
+  function playExplosionSound(pos, radius) {
+    if (!audible()) return;
+    const out = soundOutput(pos, 6);
+    const size = Math.max(0.5, radius / 4);
+    noiseBurst(out, { filter: "lowpass", freq: 900, q: 0.5, dur: 1.2 * size, gain: 1.6 });
+    noiseBurst(out, { filter: "bandpass", freq: 2500, q: 0.6, dur: 0.25, gain: 0.6 });
+    tone(out, { from: 90, to: 30, dur: 0.9 * size, gain: 1.0 });
+  }
+
+  // A looping hiss per lit creeper fuse that gets louder and brighter as it nears GameSim.CREEPER_FUSE_SEC.
+  function startHiss(creeper) {
+    const ctx = sound.ctx;
+    const src = ctx.createBufferSource();
+    src.buffer = sound.noise;
+    src.loop = true;
+    const filter = ctx.createBiquadFilter();
+    filter.type = "bandpass";
+    filter.Q.value = 2;
+    const gain = ctx.createGain();
+    gain.gain.value = 0;
+    const panner = soundOutput(creeper.mesh.position, 2);
+    src.connect(filter).connect(gain).connect(panner);
+    src.start();
+    return { src, filter, gain, panner };
+  }
+
+  function stopHiss(h) {
+    h.gain.gain.setTargetAtTime(0, sound.ctx.currentTime, 0.03);
+    h.src.stop(sound.ctx.currentTime + 0.15);
+  }
+
+  // Moves the listener to the active camera and keeps fuse hisses in step with their creepers.
+  function updateSound() {
+    if (!sound.ctx) return;
+    const live = new Set();
+    if (audible()) {
+      const cam = scene.activeCamera;
+      const at = cam.globalPosition;
+      const fwd = cam.getDirection(BABYLON.Axis.Z);
+      const l = sound.ctx.listener;
+      if (l.positionX) {
+        l.positionX.value = at.x;
+        l.positionY.value = at.y;
+        l.positionZ.value = at.z;
+        l.forwardX.value = fwd.x;
+        l.forwardY.value = fwd.y;
+        l.forwardZ.value = fwd.z;
+        l.upX.value = 0;
+        l.upY.value = 1;
+        l.upZ.value = 0;
+      } else {
+        l.setPosition(at.x, at.y, at.z);
+        l.setOrientation(fwd.x, fwd.y, fwd.z, 0, 1, 0);
+      }
+
+      const t = sound.ctx.currentTime;
+      // Guests hear the host's creepers through their proxies.
+      for (const e of entities.ofType("creeper").concat(Array.from(net.mobs.values()))) {
+        if (e.state.fuse <= 0) continue;
+        live.add(e);
+        let h = sound.hisses.get(e);
+        if (!h) {
+          h = startHiss(e);
+          sound.hisses.set(e, h);
+        }
+        const k = Math.min(1, e.state.fuse / GameSim.CREEPER_FUSE_SEC);
+        h.filter.frequency.setTargetAtTime(1200 + 5000 * k, t, 0.05);
+        h.gain.gain.setTargetAtTime(0.05 + 0.6 * k * k, t, 0.05);
+        setPannerPosition(h.panner, e.mesh.position);
+      }
+    }
+    for (const [e, h] of sound.hisses) {
+      if (live.has(e)) continue;
+      stopHiss(h);
+      sound.hisses.delete(e);
+    }
+  }
+
+  /** ---------------------------
+   *  World save / load (IndexedDB)
+   *  --------------------------- */
+  // The save format (and its migrations) belongs to game-sim.js; this stores saves, one slot per city.
+  const SAVE_DB = "cityCreeper";
+  const SAVE_STORE = "saves";
+  const LEGACY_SAVE_SLOT = "autosave"; // v13 single slot
+  const AUTOSAVE_INTERVAL_MS = 30000;
+
+  // Edits are stored against a generated city, so each seed and `?size=` gets its own slot. The unbounded
+  // default keeps the plain per-seed slot it has always used.
+  function saveSlot() {
+    return Number.isFinite(CITY_HALF) ? `autosave:${cityGen.seedText}@${CITY_HALF}` : `autosave:${cityGen.seedText}`;
+  }
+
+  // JSON has no Infinity: saves write null for an unbounded city.
+  function savedCityHalf(save) {
+    return save.halfSize === null ? Infinity : save.halfSize;
+  }
+
+  function openSaveDb() {
+    return new Promise((resolve, reject) => {
+      if (!window.indexedDB) {
+        reject(new Error("IndexedDB unavailable"));
+        return;
+      }
+      const req = indexedDB.open(SAVE_DB, 1);
+      req.onupgradeneeded = () => req.result.createObjectStore(SAVE_STORE);
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+
+  let saveDbPromise = null;
+  function saveDb() {
+    if (!saveDbPromise) saveDbPromise = openSaveDb();
+    return saveDbPromise;
+  }
+
+  async function idbRequest(mode, fn) {
+    const db = await saveDb();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(SAVE_STORE, mode);
+      const req = fn(tx.objectStore(SAVE_STORE));
+      tx.oncomplete = () => resolve(req.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  // Autosave stays off until the initial load settles so we never overwrite a save we haven't read.
+  let saveReady = false;
+  let saveInFlight = false;
+
+  async function saveWorld() {
+    if (!saveReady || saveInFlight) return;
+    saveInFlight = true;
+    try {
+      const save = game.serializeWorld();
+      await idbRequest("readwrite", (store) => store.put(save, saveSlot()));
+    } catch (err) {
+      console.warn("World save failed:", err);
+    } finally {
+      saveInFlight = false;
+    }
+  }
+
+  async function loadWorld() {
+    try {
+      let raw = await idbRequest("readonly", (store) => store.get(saveSlot()));
+      if (!raw && cityGen.seedText === GameSim.DEFAULT_CITY_SEED) {
+        raw = await idbRequest("readonly", (store) => store.get(LEGACY_SAVE_SLOT));
+      }
+      const save = GameSim.migrateSave(raw);
+      if (raw && !save) console.warn(`Ignoring incompatible save from build ${raw.build}`);
+      if (save && savedCityHalf(save) !== CITY_HALF) console.warn("Ignoring save made on a city of another size");
+      if (save && save.seed === cityGen.seedText && savedCityHalf(save) === CITY_HALF) {
+        game.applySave(save);
+        updateHealthHud();
+        game.startRun(); // again: the save brings back creepers the mode may not have, or outside its waves
+      }
+    } catch (err) {
+      console.warn("World load failed:", err);
+    } finally {
+      saveReady = true;
+    }
+  }
+
+  setInterval(saveWorld, AUTOSAVE_INTERVAL_MS);
+  document.addEventListener("visibilitychange", () => {
+    if (document.visibilityState === "hidden") saveWorld();
+  });
+  window.addEventListener("pagehide", saveWorld);
+
+  /** ---------------------------
+   *  LAN multiplayer (relay-server.js)
+   *  --------------------------- */
+  // `?room=<name>` joins a room on the relay that served the page; `?relay=<host[:port]>` picks another
+  // relay and `?name=` what others see. The first player in a room is its host: it simulates the
+  // creepers, keeps its own save and shares its edited chunks. Everyone else plays in the host's city,
+  // shows the host's creepers and leaves their own save alone. Block edits go through the relay, which
+  // orders them, so every player applies conflicting edits in the same order.
+  const NET_SEND_INTERVAL = 0.1; // seconds between pose and creeper snapshots
+  const NET_SMOOTHING = 12; // how fast avatars and creeper proxies catch up with the latest snapshot
+
+  const net = {
+    role: "offline", // "offline" | "connecting" | "host" | "guest"
+    socket: null,
+    id: 0,
+    hostId: 0,
+    applyingRemote: false, // set while applying someone else's edit, so it isn't sent back
+    seq: null, // the room's last edit this world holds; null until the room's blocks are laid down
+    sendTimer: 0,
+    peers: new Map(), // player id -> { name, root, head, pos, target, dead }
+    mobs: new Map(), // host entity id -> Creeper proxy (guests only; never updated locally)
+  };
+
+  function relayUrl() {
+    const room = urlParams.get("room");
+    let relay = urlParams.get("relay");
+    if (!room && !relay) return null;
+    if (!relay) relay = window.location.host; // empty for file:// pages
+    if (!relay) return null;
+    if (!/^wss?:\/\//.test(relay)) {
+      if (!/:\d+$/.test(relay)) relay += `:${NetProtocol.DEFAULT_PORT}`;
+      relay = `${window.location.protocol === "https:" ? "wss" : "ws"}://${relay}`;
+    }
+    return `${relay.replace(/\/$/, "")}/?room=${encodeURIComponent(room || NetProtocol.DEFAULT_ROOM)}`;
+  }
+
+  function netSend(msg) {
+    if (net.socket && net.socket.readyState === WebSocket.OPEN) net.socket.send(NetProtocol.encode(msg));
+  }
+
+  function netOnline() {
+    return net.role === "host" || net.role === "guest";
+  }
+
+  function connectRelay(url) {
+    net.role = "connecting";
+    try {
+      net.socket = new WebSocket(url);
+    } catch (err) {
+      leaveRoom(`Relay unavailable: ${err.message || err}`);
+      return;
+    }
+    net.socket.onopen = () =>
+      netSend({
+        type: "hello",
+        protocol: NetProtocol.PROTOCOL_VERSION,
+        build: BUILD_VERSION,
+        seed: cityGen.seedText,
+        name: urlParams.get("name") || "",
+      });
+    net.socket.onmessage = (e) => {
+      const msg = NetProtocol.decode(e.data);
+      if (msg) onNetMessage(msg);
+    };
+    net.socket.onclose = () => leaveRoom("Disconnected from relay");
+  }
+
+  // Back to single-player. A player who never got in loads their own save; a guest keeps the host's
+  // city and takes over its creepers, but still never saves it over their own.
+  function leaveRoom(reason) {
+    if (net.role === "offline") return;
+    console.warn(reason);
+    const wasConnecting = net.role === "connecting";
+    if (net.role === "guest") adoptMobs();
+    net.role = "offline";
+    net.socket = null;
+    for (const id of Array.from(net.peers.keys())) removePeer(id);
+    if (wasConnecting) loadWorld();
+  }
+
+  function onNetMessage(msg) {
+    switch (msg.type) {
+      case "welcome":
+        onWelcome(msg);
+        return;
+      case "reject":
+        leaveRoom(`Relay turned us away: ${msg.reason}`);
+        return;
+      case "chunks":
+        applyRoomBlocks(msg);
+        return;
+      case "sync":
+        if (net.role === "host") netSend({ type: "chunks", chunks: netChunks(), seq: net.seq || 0 });
+        return;
+      case "edit":
+        applyRemoteEdit(msg.x, msg.y, msg.z, msg.v);
+        if (net.seq !== null) net.seq = msg.seq;
+        return;
+      case "join":
+        addPeer(msg.id, msg.name);
+        return;
+      case "leave":
+        removePeer(msg.id);
+        return;
+      case "player":
+        updatePeer(msg.id, msg);
+        return;
+      case "host":
+        net.hostId = msg.hostId;
+        if (msg.hostId === net.id && net.role === "guest") {
+          net.role = "host";
+          adoptMobs();
+        }
+        return;
+      case "entities":
+        if (net.role === "guest") syncMobs(msg.list);
+        return;
+      case "explosion":
+        onRemoteExplosion(msg);
+        return;
+      default:
+        return;
+    }
+  }
+
+  function onWelcome(msg) {
+    // Rooms play one city; reload into the host's seed, keeping the room and relay params.
+    if (msg.seed !== cityGen.seedText) {
+      urlParams.set("seed", msg.seed);
+      window.location.search = urlParams.toString();
+      return;
+    }
+    net.id = msg.id;
+    net.hostId = msg.hostId;
+    net.seq = null;
+    for (const p of msg.players) {
+      addPeer(p.id, p.name);
+      if (p.pose) updatePeer(p.id, p.pose);
+    }
+
+    if (msg.hostId === net.id) {
+      net.role = "host";
+      loadWorld().then(() => netSend({ type: "chunks", chunks: netChunks() }));
+      return;
+    }
+    net.role = "guest";
+    for (const e of entities.ofType("creeper")) entities.remove(e);
+    applyRoomBlocks(msg);
+  }
+
+  // The room's chunks with the edits made since laid over them, as of edit `seq`.
+  function applyRoomBlocks(msg) {
+    game.applyChunks(msg.chunks);
+    for (const [x, y, z, v] of msg.edits) applyRemoteEdit(x, y, z, v);
+    net.seq = msg.seq;
+  }
+
+  // Edited chunks as JSON-friendly arrays.
+  function netChunks() {
+    return game.serializeChunks().map((c) => Object.assign(c, { rle: Array.from(c.rle) }));
+  }
+
+  world.onEdit = (x, y, z, v) => {
+    if (netOnline() && !net.applyingRemote) netSend({ type: "edit", x, y, z, v });
+  };
+
+  // Edits arrive in the relay's order, our own included: re-applying ours after someone else's keeps
+  // every player on the same final block.
+  function applyRemoteEdit(x, y, z, v) {
+    const loaded = world.getChunk(Math.floor(x / CHUNK_SIZE), Math.floor(y / CHUNK_SIZE), Math.floor(z / CHUNK_SIZE));
+    if (loaded && world.getBlock(x, y, z) === v) return;
+    net.applyingRemote = true;
+    try {
+      world.setBlock(x, y, z, v);
+    } finally {
+      net.applyingRemote = false;
+    }
+  }
+
+  function netSendExplosion(pos, radius, destroyed) {
+    if (netOnline()) netSend({ type: "explosion", x: pos.x, y: pos.y, z: pos.z, radius, destroyed });
+  }
+
+  // Someone else's blast: its block changes come as edits, so only the effects play here.
+  function onRemoteExplosion(msg) {
+    const pos = new BABYLON.Vector3(msg.x, msg.y, msg.z);
+    spawnBlastDebris(pos, Array.isArray(msg.destroyed) ? msg.destroyed : []);
+    playExplosionSound(pos, msg.radius);
+    if (!playerState.dead) game.hurtPlayerByExplosion(pos, msg.radius);
+    const near = 1 - BABYLON.Vector3.Distance(pos, player.position) / 40;
+    if (near > 0) triggerShake(0.35 * near, 0.25);
+  }
+
+  const peerVisorMat = new BABYLON.StandardMaterial("peerVisorMat", scene);
+  peerVisorMat.diffuseColor = new BABYLON.Color3(0.06, 0.12, 0.06);
+  peerVisorMat.specularColor = new BABYLON.Color3(0, 0, 0);
+
+  /** Remote players, drawn as simple two-box avatars in a colour picked from their id. */
+  function addPeer(id, name) {
+    if (id === net.id || net.peers.has(id)) return;
+    const mat = new BABYLON.StandardMaterial(`peerMat${id}`, scene);
+    mat.diffuseColor = BABYLON.Color3.FromHSV((id * 137) % 360, 0.6, 0.9);
+    const root = new BABYLON.TransformNode(`peer${id}`, scene);
+    const body = BABYLON.MeshBuilder.CreateBox(`peerBody${id}`, { width: 0.6, height: 1.1, depth: 0.35 }, scene);
+    body.position.y = 0.6;
+    const head = BABYLON.MeshBuilder.CreateBox(`peerHead${id}`, { size: 0.5 }, scene);
+    head.position.y = 1.45;
+    const visor = BABYLON.MeshBuilder.CreateBox(`peerVisor${id}`, { width: 0.36, height: 0.12, depth: 0.05 }, scene);
+    visor.position.set(0, 0.05, 0.26); // on the face, which looks down +Z
+    visor.material = peerVisorMat;
+    visor.parent = head;
+    for (const m of [body, head]) {
+      m.material = mat;
+      m.parent = root;
+    }
+    for (const m of [body, head, visor]) m.isPickable = false;
+    root.setEnabled(false); // until the first pose arrives
+    net.peers.set(id, { name, root, head, mat, pos: new BABYLON.Vector3(), target: null, dead: false });
+  }
+
+  function removePeer(id) {
+    const peer = net.peers.get(id);
+    if (!peer) return;
+    peer.root.dispose(false, false);
+    peer.mat.dispose();
+    net.peers.delete(id);
+  }
+
+  function updatePeer(id, pose) {
+    if (!net.peers.has(id)) addPeer(id, "");
+    const peer = net.peers.get(id);
+    if (!peer || ![pose.x, pose.y, pose.z].every(Number.isFinite)) return;
+    if (!peer.target) peer.pos.set(pose.x, pose.y, pose.z); // first pose: appear in place
+    peer.target = { x: pose.x, y: pose.y, z: pose.z, yaw: pose.yaw || 0, pitch: pose.pitch || 0 };
+    peer.dead = !!pose.dead;
+    peer.root.setEnabled(!peer.dead);
+  }
+
+  // Where the other living players are drawn, for the creepers to go after.
+  function livingPeerPositions() {
+    const out = [];
+    for (const peer of net.peers.values()) if (peer.target && !peer.dead) out.push(peer.pos);
+    return out;
+  }
+
+  /** Host creepers on guests: proxies that only follow the host's snapshots. */
+  function syncMobs(list) {
+    const seen = new Set();
+    for (const m of list) {
+      if (m.type !== "creeper" || ![m.x, m.y, m.z].every(Number.isFinite)) continue;
+      seen.add(m.n);
+      let mob = net.mobs.get(m.n);
+      if (!mob) {
+        mob = new game.Creeper(m.x, m.y, m.z);
+        net.mobs.set(m.n, mob);
+      }
+      mob.netTarget = { x: m.x, y: m.y, z: m.z, ry: m.ry || 0 };
+      mob.state.fuse = m.fuse || 0;
+    }
+    for (const [n, mob] of net.mobs) {
+      if (seen.has(n)) continue;
+      mob.dispose();
+      net.mobs.delete(n);
+    }
+  }
+
+  // This player now simulates the proxies: they become ordinary creepers.
+  function adoptMobs() {
+    for (const mob of net.mobs.values()) {
+      mob.netTarget = null;
+      mob.state.fuse = 0;
+      entities.add(mob);
+    }
+    net.mobs.clear();
+  }
+
+  function updateNet(dt) {
+    if (!netOnline()) return;
+    const k = Math.min(1, dt * NET_SMOOTHING);
+
+    for (const peer of net.peers.values()) {
+      const t = peer.target;
+      if (!t) continue;
+      peer.pos.x += (t.x - peer.pos.x) * k;
+      peer.pos.y += (t.y - peer.pos.y) * k;
+      peer.pos.z += (t.z - peer.pos.z) * k;
+      peer.root.position.copyFrom(peer.pos);
+      peer.root.rotation.y = t.yaw;
+      peer.head.rotation.x = -t.pitch;
+    }
+    for (const mob of net.mobs.values()) {
+      const t = mob.netTarget;
+      const p = mob.mesh.position;
+      p.set(p.x + (t.x - p.x) * k, p.y + (t.y - p.y) * k, p.z + (t.z - p.z) * k);
+      mob.visualRoot.rotation.y = t.ry;
+      mob.showFuse();
+    }
+
+    net.sendTimer -= dt;
+    if (net.sendTimer > 0) return;
+    net.sendTimer = NET_SEND_INTERVAL;
+
+    const look = scene.activeCamera.getDirection(BABYLON.Axis.Z);
+    const p = player.position;
+    netSend({
+      type: "player",
+      x: p.x,
+      y: p.y,
+      z: p.z,
+      yaw: Math.atan2(look.x, look.z),
+      pitch: Math.asin(Math.max(-1, Math.min(1, look.y))),
+      dead: playerState.dead,
+    });
+    if (net.role === "host") {
+      netSend({
+        type: "entities",
+        list: entities.ofType("creeper").map((e) => ({
+          n: e.id,
+          type: e.type,
+          x: e.mesh.position.x,
+          y: e.mesh.position.y,
+          z: e.mesh.position.z,
+          ry: e.visualRoot.rotation.y,
+          fuse: e.state.fuse,
+        })),
+      });
+    }
+  }
+
+  function netStatus() {
+    if (net.role === "offline") return "";
+    if (net.role === "connecting") return " | Net: connecting…";
+    return ` | Net: ${net.role}, ${net.peers.size + 1} playing`;
+  }
+
   /** ---------------------------
    *  Main loop
    *  --------------------------- */
-  let lastT = performance.now();
+  const SIM_MAX_STEPS = 5; // per frame; after a long stall the game slows down rather than spiralling
+
+  // One fixed step of gameplay: the live devices (or a replay) fill `input`, game-sim.js advances the game,
+  // and a replay checks it hasn't drifted. The simulation itself never renders or reads the wall clock.
+  function stepSimulation() {
+    captureStepInput();
+    game.step();
+    checkStep();
+  }
+
+  // Bodies are drawn between their last two simulated poses so motion stays smooth at any frame rate.
+  // While a blend is on screen, simPoses holds the true positions to put back before the next step,
+  // unless something outside the simulation (a save loading, a respawn click) has moved the body since.
+  const prevPoses = new Map(); // node -> position before the latest step
+  const simPoses = new Map(); // node -> { pos: position after it, shown: blended position drawn }
+
+  function rememberPrevPoses() {
+    prevPoses.clear();
+    prevPoses.set(player, player.position.clone());
+    for (const e of entities.list) if (e.alive && e.mesh) prevPoses.set(e.mesh, e.mesh.position.clone());
+  }
+
+  function restoreSimPoses() {
+    for (const [node, p] of simPoses) {
+      if (node.position.equals(p.shown)) node.position.copyFrom(p.pos);
+      else prevPoses.delete(node); // teleported: don't blend from where it was
+    }
+    simPoses.clear();
+  }
 
-  // Break cooldown to avoid removing too many blocks per second by holding
-  let breakCooldown = 0;
+  function blendPoses(alpha) {
+    for (const [node, prev] of prevPoses) {
+      if (node.isDisposed()) continue;
+      const pos = node.position.clone();
+      BABYLON.Vector3.LerpToRef(prev, pos, alpha, node.position);
+      simPoses.set(node, { pos, shown: node.position.clone() });
+    }
+  }
+
+  let lastT = performance.now();
+  let simLag = 0; // real seconds not simulated yet
 
   scene.onBeforeRenderObservable.add(() => {
     const t = performance.now();
-    const dt = Math.min(0.05, (t - lastT) / 1000);
+    const dt = (t - lastT) / 1000;
     lastT = t;
 
-    updateCameraLook(dt);
-    updatePlayer(dt);
-    updateCreeper(dt);
+    updateInputs();
 
-    // Hold-to-break with cooldown
-    breakCooldown -= dt;
-    if (btnState.breakPressed && breakCooldown <= 0) {
-      const did = breakTargetVoxel();
-      if (did) breakCooldown = 0.12;
-      else breakCooldown = 0.06;
+    restoreSimPoses();
+    const speed = simSpeed();
+    simLag = Math.min(simLag + dt * speed, SIM_MAX_STEPS * Math.max(1, speed) * SIM_DT);
+    // A replay can pause itself mid-frame, when it ends or diverges.
+    while (simLag >= SIM_DT && simSpeed() > 0) {
+      rememberPrevPoses();
+      stepSimulation();
+      simLag -= SIM_DT;
     }
+    blendPoses(simLag / SIM_DT);
 
-    // Rebuild only when needed
-    if (world.dirtyQueue.length) world.rebuildSome(2);
+    if (world.dirtyQueue.length) world.rebuildSome(settings.rebuildBudget);
 
+    updateNet(dt);
+    updateDebris(dt);
+    updateSky(dt);
+    if (view.firstPerson) placeFirstPersonCamera();
+    else placeFollowCamera();
     applyCameraShake(dt);
+    if (!view.firstPerson) keepCameraClear();
+    updateSound();
 
     // Status
-    statusEl.textContent = `Chunks: ${world.chunks.size} | Dirty: ${world.dirtyQueue.length} | Pos: ${player.position.x.toFixed(
+    clockEl.textContent = formatClock();
+    updateScoreHud();
+    updateReplayBar();
+    statusEl.textContent = `Seed: ${cityGen.seedText} | Chunks: ${world.chunks.size} | Dirty: ${world.dirtyQueue.length + world.meshJobs.size} | Creepers: ${entities.count("creeper")} | Verts: ${world.meshStats.vertices} | Idx: ${world.meshStats.indices} | Pos: ${player.position.x.toFixed(
       1
-    )}, ${player.position.y.toFixed(1)}, ${player.position.z.toFixed(1)}`;
+    )}, ${player.position.y.toFixed(1)}, ${player.position.z.toFixed(1)}${netStatus()}`;
   });
 
   engine.runRenderLoop(() => scene.render());
@@ -1215,6 +2267,343 @@
     { passive: false }
   );
 
+  /** ---------------------------
+   *  Input recording + replay
+   *  --------------------------- */
+  // Record saves what every step read from `input`, plus a snapshot of the game to start from, as a JSON
+  // file. Replay reloads the page on that file's city and mode and feeds the steps back in place of the
+  // live devices. Steps are deterministic (see game-sim.js), so the same inputs play the same game.
+  // Once a second the recording keeps a fingerprint of the game state; a replay that comes up with a
+  // different one pauses and says when it diverged.
+  const REPLAY_FORMAT = "block-city-replay";
+  const REPLAY_VERSION = 2; // 2: settings changed while recording, in settingChanges
+  const REPLAY_SESSION_KEY = "cityCreeper.replay"; // carries the chosen file across the reload
+  const REPLAY_URL_PARAMS = ["size", "day", "safe"]; // besides seed and mode, what shapes the city and rules
+  const REPLAY_SETTINGS = Object.keys(GameSim.STEP_SETTINGS); // the ones steps read
+  const REPLAY_SPEEDS = [0.25, 0.5, 1, 2, 4];
+
+  // Each recorded step is [count, move.x, move.y, look.x, look.y, lookDelta.x, lookDelta.y, flags, slot],
+  // with runs of identical steps folded into one entry.
+  const INPUT_FLAGS = { jump: 1, breakHeld: 2, placeHeld: 4, jumpHeld: 8, descendHeld: 16, respawn: 32 };
+  const FIRST_PERSON_FLAG = 64;
+
+  const recorder = {
+    active: false,
+    file: null,
+    steps: 0,
+    settings: null, // step settings as the recording last saw them
+  };
+  const replay = {
+    active: false,
+    rec: null,
+    paused: false,
+    speed: 1,
+    entry: 0, // index into rec.inputs
+    used: 0, // steps already played from that entry
+    step: 0,
+    steps: 0,
+    check: 0, // index of the next fingerprint to compare
+    change: 0, // index of the next entry in rec.settingChanges
+    divergedAt: null, // tick of the first mismatch
+    done: false,
+  };
+
+  // Axes are rounded before the step reads them, so the live game plays exactly what the file holds.
+  function quantize(v) {
+    return Math.round(v * 1e4) / 1e4;
+  }
+
+  function captureStepInput() {
+    if (replay.active) readReplayStep();
+    else if (recorder.active) recordStep();
+  }
+
+  // Each settings change is [step, { key: value, ... }]: the step that first reads the new values.
+  function recordSettingChanges() {
+    const changed = {};
+    let any = false;
+    for (const k of REPLAY_SETTINGS) {
+      if (settings[k] === recorder.settings[k]) continue;
+      changed[k] = recorder.settings[k] = settings[k];
+      any = true;
+    }
+    if (any) recorder.file.settingChanges.push([recorder.steps, changed]);
+  }
+
+  function recordStep() {
+    recordSettingChanges();
+    recorder.steps++;
+    for (const v of [input.move, input.look, input.lookDelta]) {
+      v.x = quantize(v.x);
+      v.y = quantize(v.y);
+    }
+    let flags = view.firstPerson ? FIRST_PERSON_FLAG : 0;
+    for (const [k, bit] of Object.entries(INPUT_FLAGS)) if (input[k]) flags |= bit;
+    const entry = [input.move.x, input.move.y, input.look.x, input.look.y, input.lookDelta.x, input.lookDelta.y, flags, game.selectedSlot()];
+
+    const inputs = recorder.file.inputs;
+    const last = inputs[inputs.length - 1];
+    if (last && entry.every((v, i) => v === last[i + 1])) last[0]++;
+    else inputs.push([1].concat(entry));
+  }
+
+  function readReplayStep() {
+    const changes = replay.rec.settingChanges || []; // none in version-1 files
+    for (; replay.change < changes.length && changes[replay.change][0] <= replay.step; replay.change++) {
+      applyReplaySettings(changes[replay.change][1]);
+    }
+    const e = replay.rec.inputs[replay.entry];
+    input.move.x = e[1];
+    input.move.y = e[2];
+    input.look.x = e[3];
+    input.look.y = e[4];
+    input.lookDelta.x = e[5];
+    input.lookDelta.y = e[6];
+    for (const [k, bit] of Object.entries(INPUT_FLAGS)) input[k] = !!(e[7] & bit);
+    if (!!(e[7] & FIRST_PERSON_FLAG) !== view.firstPerson) setFirstPerson(!view.firstPerson);
+    if (e[8] !== game.selectedSlot()) selectSlot(e[8]);
+
+    replay.step++;
+    if (++replay.used >= e[0]) {
+      replay.entry++;
+      replay.used = 0;
+    }
+  }
+
+  // Runs after every step.
+  function checkStep() {
+    if (recorder.active) {
+      if ((sim.tick - recorder.file.start.tick) % SIM_HZ === 0) recorder.file.checks.push(game.stateCheck());
+      return;
+    }
+    if (!replay.active) return;
+
+    const want = replay.rec.checks[replay.check];
+    if (want && want.tick === sim.tick) {
+      replay.check++;
+      const got = game.stateCheck();
+      if (got.hash !== want.hash && replay.divergedAt === null) {
+        replay.divergedAt = sim.tick;
+        replay.paused = true;
+        console.warn("Replay diverged from the recording", { recorded: want, replayed: got });
+      }
+    }
+    if (replay.step >= replay.steps) replay.done = true;
+  }
+
+  function replayClock(tick) {
+    return formatDuration((tick - replay.rec.start.tick) / SIM_HZ);
+  }
+
+  // How fast the simulation runs against real time: always 1 outside a replay, 0 while one is paused.
+  function simSpeed() {
+    if (!replay.active) return 1;
+    return replay.paused || replay.done ? 0 : replay.speed;
+  }
+
+  // Puts the game in a snapshot's state (see game-sim.js). The recorder applies it to itself as well, so
+  // the live game and every replay of it start from the same place.
+  function applyReplayStart(s) {
+    const wasFirstPerson = view.firstPerson;
+    game.restore(s);
+    if (view.firstPerson !== wasFirstPerson) setFirstPerson(view.firstPerson);
+    hideDeathScreen();
+    selectSlot(game.selectedSlot());
+    updateHealthHud();
+    prevPoses.clear();
+    simPoses.clear();
+    simLag = 0;
+  }
+
+  // Shows a short note on a top button, then puts its label back.
+  function flashButton(btn, text, label) {
+    btn.textContent = text;
+    setTimeout(() => {
+      btn.textContent = label;
+    }, 2500);
+  }
+
+  function startRecording() {
+    if (replay.active) return;
+    if (netOnline()) return flashButton(recordBtnEl, "Offline only", "Record");
+    if (playerState.dead) return flashButton(recordBtnEl, "Respawn first", "Record");
+
+    const start = game.snapshot();
+    const params = { seed: cityGen.seedText, mode: game.modeName() };
+    for (const k of REPLAY_URL_PARAMS) if (urlParams.has(k)) params[k] = urlParams.get(k);
+    const recSettings = {};
+    for (const k of REPLAY_SETTINGS) recSettings[k] = settings[k];
+    recorder.file = {
+      format: REPLAY_FORMAT,
+      version: REPLAY_VERSION,
+      build: BUILD_VERSION,
+      recordedAt: new Date().toISOString(),
+      stepHz: SIM_HZ,
+      params,
+      settings: recSettings,
+      settingChanges: [],
+      start,
+      inputs: [],
+      checks: [],
+    };
+    recorder.steps = 0;
+    recorder.settings = Object.assign({}, recSettings);
+    // Through JSON and back, exactly as a replay will read it.
+    applyReplayStart(JSON.parse(JSON.stringify(start)));
+    recorder.active = true;
+    recordBtnEl.textContent = "● Stop";
+  }
+
+  // Ends the recording and downloads it; does nothing when not recording.
+  function stopRecording() {
+    if (!recorder.active) return;
+    recorder.active = false;
+    const file = recorder.file;
+    recorder.file = null;
+    recordBtnEl.textContent = "Record";
+
+    const blob = new Blob([JSON.stringify(file)], { type: "application/json" });
+    const a = document.createElement("a");
+    a.href = URL.createObjectURL(blob);
+    a.download = `block-city-replay-${file.recordedAt.replace(/[:.]/g, "-")}.json`;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+  }
+
+  recordBtnEl.addEventListener("click", () => {
+    if (recorder.active) stopRecording();
+    else startRecording();
+    recordBtnEl.blur();
+  });
+
+  function isReplayFile(rec) {
+    return (
+      !!rec &&
+      rec.format === REPLAY_FORMAT &&
+      (rec.version === 1 || (rec.version === REPLAY_VERSION && Array.isArray(rec.settingChanges))) &&
+      rec.stepHz === SIM_HZ &&
+      !!rec.params &&
+      !!rec.start &&
+      Array.isArray(rec.inputs) &&
+      Array.isArray(rec.checks)
+    );
+  }
+
+  const replayFileEl = document.createElement("input");
+  replayFileEl.type = "file";
+  replayFileEl.accept = ".json,application/json";
+  replayFileEl.style.display = "none";
+  uiRoot.appendChild(replayFileEl);
+
+  replayBtnEl.addEventListener("click", () => {
+    replayBtnEl.blur();
+    replayFileEl.click();
+  });
+
+  // The city and rules are fixed at startup, so a replay reloads the page with the file's settings.
+  replayFileEl.addEventListener("change", async () => {
+    const file = replayFileEl.files[0];
+    replayFileEl.value = "";
+    if (!file) return;
+    const text = await file.text();
+    let rec = null;
+    try {
+      rec = JSON.parse(text);
+    } catch (err) {
+      rec = null;
+    }
+    if (!isReplayFile(rec)) return flashButton(replayBtnEl, "Not a replay", "Replay");
+    try {
+      window.sessionStorage.setItem(REPLAY_SESSION_KEY, text);
+    } catch (err) {
+      console.warn("Could not hold the replay for the reload:", err);
+      return flashButton(replayBtnEl, "Replay too big", "Replay");
+    }
+    stopRecording();
+    const url = new URL(window.location.href);
+    url.search = "";
+    for (const [k, v] of Object.entries(rec.params)) url.searchParams.set(k, v);
+    url.searchParams.set("replay", "1");
+    window.location.assign(url.href);
+  });
+
+  function pendingReplay() {
+    if (urlParams.get("replay") !== "1") return null;
+    let rec = null;
+    try {
+      rec = JSON.parse(window.sessionStorage.getItem(REPLAY_SESSION_KEY));
+    } catch (err) {
+      rec = null;
+    }
+    return isReplayFile(rec) ? rec : null;
+  }
+
+  function applyReplaySettings(values) {
+    for (const k of REPLAY_SETTINGS) if (k in values) settings[k] = values[k];
+  }
+
+  function startReplay(rec) {
+    replay.rec = rec;
+    replay.steps = rec.inputs.reduce((n, e) => n + e[0], 0);
+    replay.done = replay.steps === 0;
+    // The recording's look settings, for this page only: the settings panel stays shut so they aren't saved.
+    if (rec.settings) applyReplaySettings(rec.settings);
+    applyReplayStart(rec.start);
+    replay.active = true;
+
+    modeSelectEl.disabled = true;
+    recordBtnEl.disabled = true;
+    settingsBtnEl.disabled = true;
+    for (const speed of REPLAY_SPEEDS) {
+      const opt = document.createElement("option");
+      opt.value = String(speed);
+      opt.textContent = `${speed}×`;
+      replayBarEl.speedSelect.appendChild(opt);
+    }
+    replayBarEl.speedSelect.value = "1";
+    replayBarEl.style.display = "flex";
+    if (rec.build !== BUILD_VERSION) console.warn(`Replay was recorded on build ${rec.build}; this is ${BUILD_VERSION}`);
+  }
+
+  replayBarEl.playBtn.addEventListener("click", () => {
+    replay.paused = !replay.paused;
+    replayBarEl.playBtn.blur();
+  });
+  replayBarEl.speedSelect.addEventListener("change", () => {
+    replay.speed = Number(replayBarEl.speedSelect.value) || 1;
+    replayBarEl.speedSelect.blur();
+  });
+  // Back to the normal game, which picks up its own save again.
+  replayBarEl.exitBtn.addEventListener("click", () => {
+    const url = new URL(window.location.href);
+    url.searchParams.delete("replay");
+    window.location.assign(url.href);
+  });
+
+  function updateReplayBar() {
+    if (!replay.active) return;
+    const bar = replayBarEl;
+    const end = replay.rec.start.tick + replay.steps;
+    bar.playBtn.textContent = replay.paused || replay.done ? "Play" : "Pause";
+    bar.playBtn.disabled = replay.done;
+    bar.timeEl.textContent = `${replayClock(sim.tick)} / ${replayClock(end)}`;
+
+    let text = replay.rec.build === BUILD_VERSION ? "Matching" : `Recorded on ${replay.rec.build}`;
+    if (replay.divergedAt !== null) text = `Diverged at ${replayClock(replay.divergedAt)}`;
+    if (replay.done) text = `Finished: ${replay.divergedAt === null ? "matched the recording" : text.toLowerCase()}`;
+    bar.statusEl.textContent = text;
+  }
+
+  // A replay plays on its own copy of the world: it never loads the save (so autosave stays off) or joins
+  // a room. Joining a room waits for the relay to say who hosts before touching the local save.
+  const REPLAY_FILE = pendingReplay();
+  const RELAY_URL = REPLAY_FILE ? null : relayUrl();
+  if (REPLAY_FILE) startReplay(REPLAY_FILE);
+  else if (RELAY_URL) connectRelay(RELAY_URL);
+  else loadWorld();
+
   // Optional: expose a quick debug helper
-  window.__blockCity = { scene, world, player, creeper };
+  window.__blockCity = { scene, world, player, entities, saveWorld, net, sim, game, step: stepSimulation };
 })();
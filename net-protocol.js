@@ -0,0 +1,71 @@
+/* net-protocol.js — LAN multiplayer message format for Block City, shared by the game and relay-server.js.
+   Messages are JSON text frames over one WebSocket per player. The relay puts players in rooms, makes
+   the first one in a room its host and gives every block edit a room-wide sequence number, so all
+   players apply conflicting edits in the same order.
+   Loaded as a plain <script> it defines `NetProtocol`; under CommonJS it is `module.exports`.
+*/
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.NetProtocol = factory();
+})(typeof self !== "undefined" ? self : this, () => {
+  "use strict";
+
+  // Bump whenever a message changes shape; the relay turns away clients that speak another version.
+  const PROTOCOL_VERSION = 2;
+  const DEFAULT_PORT = 8787;
+  const DEFAULT_ROOM = "lobby";
+
+  /**
+   * Client -> relay
+   *   hello    { protocol, build, seed, name }  — first message; rooms only admit one build
+   *   chunks   { chunks: [{ cx, cy, cz, rle }], seq } — host only: edited chunks the host brought in (from its
+   *                                              save); with `seq`, its whole world as of that edit, answering a sync
+   *   edit     { x, y, z, v }                    — a block change; echoed back to everyone once ordered
+   *   player   { x, y, z, yaw, pitch, dead }     — this player's pose, a few times a second
+   *   entities { list: [{ n, type, x, y, z, ry, fuse }] } — host only: mobs it simulates
+   *   explosion { x, y, z, radius, destroyed }   — blast effects; its block changes arrive as edits
+   *
+   * Relay -> client
+   *   welcome  { id, hostId, seed, seq, chunks, edits: [[x, y, z, v], ...], players: [{ id, name, pose }] }
+   *   chunks   { seq, chunks, edits }            — the host's upload, to everyone: lay `edits` over `chunks`
+   *   sync     {}                                — to the host: send your chunks so the relay can drop old edits
+   *   reject   { reason }                        — followed by the relay closing the socket
+   *   edit     { seq, id, x, y, z, v }           — in room order, including the sender's own edits
+   *   join / leave { id, name }
+   *   host     { hostId }                        — the host left; someone else simulates mobs now
+   *   player, entities, explosion                — relayed with the sender's `id`; malformed ones are dropped
+   */
+  const TYPES = [
+    "hello",
+    "welcome",
+    "reject",
+    "chunks",
+    "edit",
+    "player",
+    "entities",
+    "explosion",
+    "join",
+    "leave",
+    "host",
+    "sync",
+  ];
+
+  function encode(msg) {
+    return JSON.stringify(msg);
+  }
+
+  // Parsed message, or null for anything that isn't a known message type.
+  function decode(text) {
+    let msg;
+    try {
+      msg = JSON.parse(text);
+    } catch (err) {
+      return null;
+    }
+    if (!msg || typeof msg !== "object" || !TYPES.includes(msg.type)) return null;
+    return msg;
+  }
+
+  return { PROTOCOL_VERSION, DEFAULT_PORT, DEFAULT_ROOM, TYPES, encode, decode };
+});
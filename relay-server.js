@@ -0,0 +1,414 @@
+#!/usr/bin/env node
+/* relay-server.js — LAN relay for Block City multiplayer (messages in net-protocol.js).
+   Plain Node with no packages: `node relay-server.js [port]` serves the game files from this folder
+   and relays rooms over WebSocket on the same port, so anyone on the network can open
+   http://<this machine>:8787/?room=<name> and play together.
+   The relay doesn't simulate anything. It admits one build per room, orders block edits, remembers
+   them for late joiners, and hands the host role on when the host leaves.
+*/
+"use strict";
+
+const http = require("http");
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const NetProtocol = require("./net-protocol.js");
+
+const PORT = Number(process.argv[2]) || NetProtocol.DEFAULT_PORT;
+const ROOT = __dirname;
+const WS_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+const MAX_MESSAGE = 32 * 1024 * 1024; // a host's first upload carries all of its edited chunks
+const MAX_ROOM_EDITS = 20000; // past this, the host is asked for its chunks so older edits can go
+const MAX_BLAST_RADIUS = 8;
+const MAX_BLAST_CELLS = 4096; // blocks one relayed blast may report destroyed
+
+const CONTENT_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".png": "image/png",
+  ".json": "application/json",
+};
+
+/** ---------------------------
+ *  WebSocket framing (RFC 6455, text frames only)
+ *  --------------------------- */
+class WebSocketConnection {
+  constructor(socket, handlers) {
+    this.socket = socket;
+    this.handlers = handlers; // { message(text), close() }
+    this.buffer = Buffer.alloc(0);
+    this.fragments = null; // payloads of a fragmented message, or null
+    this.closed = false;
+    socket.on("data", (data) => this.onData(data));
+    socket.on("close", () => this.onClosed());
+    socket.on("error", () => this.onClosed());
+  }
+
+  onData(data) {
+    this.buffer = Buffer.concat([this.buffer, data]);
+    while (!this.closed && this.buffer.length >= 2) {
+      const b0 = this.buffer[0];
+      const b1 = this.buffer[1];
+      let len = b1 & 0x7f;
+      let off = 2;
+      if (len === 126) {
+        if (this.buffer.length < 4) return;
+        len = this.buffer.readUInt16BE(2);
+        off = 4;
+      } else if (len === 127) {
+        if (this.buffer.length < 10) return;
+        if (this.buffer.readUInt32BE(2) !== 0) return this.close(1009, "message too big");
+        len = this.buffer.readUInt32BE(6);
+        off = 10;
+      }
+      if (!(b1 & 0x80)) return this.close(1002, "client frames must be masked");
+      if (len > MAX_MESSAGE) return this.close(1009, "message too big");
+      if (this.buffer.length < off + 4 + len) return;
+
+      const mask = this.buffer.subarray(off, off + 4);
+      const payload = Buffer.from(this.buffer.subarray(off + 4, off + 4 + len));
+      for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i & 3];
+      this.buffer = this.buffer.subarray(off + 4 + len);
+      this.onFrame(!!(b0 & 0x80), b0 & 0x0f, payload);
+    }
+  }
+
+  onFrame(fin, opcode, payload) {
+    switch (opcode) {
+      case 0x0: // continuation
+        if (!this.fragments) return;
+        this.fragments.push(payload);
+        if (fin) this.deliver(Buffer.concat(this.fragments));
+        return;
+      case 0x1: // text
+      case 0x2: // binary (not part of the protocol; collected only to stay in step)
+        this.fragments = [payload];
+        this.fragments.text = opcode === 0x1;
+        if (fin) this.deliver(payload);
+        return;
+      case 0x8:
+        this.close(1000, "");
+        return;
+      case 0x9:
+        this.sendFrame(0xa, payload);
+        return;
+      default:
+        return; // pong
+    }
+  }
+
+  deliver(payload) {
+    const text = this.fragments && this.fragments.text;
+    this.fragments = null;
+    if (text) this.handlers.message(payload.toString("utf8"));
+  }
+
+  sendFrame(opcode, payload) {
+    if (this.closed) return;
+    const len = payload.length;
+    let header;
+    if (len < 126) {
+      header = Buffer.from([0x80 | opcode, len]);
+    } else if (len < 65536) {
+      header = Buffer.alloc(4);
+      header[0] = 0x80 | opcode;
+      header[1] = 126;
+      header.writeUInt16BE(len, 2);
+    } else {
+      header = Buffer.alloc(10);
+      header[0] = 0x80 | opcode;
+      header[1] = 127;
+      header.writeUInt32BE(Math.floor(len / 0x100000000), 2);
+      header.writeUInt32BE(len >>> 0, 6);
+    }
+    this.socket.write(Buffer.concat([header, payload]));
+  }
+
+  send(text) {
+    this.sendFrame(0x1, Buffer.from(text, "utf8"));
+  }
+
+  close(code, reason) {
+    if (this.closed) return;
+    const body = Buffer.alloc(2 + Buffer.byteLength(reason));
+    body.writeUInt16BE(code, 0);
+    body.write(reason, 2);
+    this.sendFrame(0x8, body);
+    this.socket.end();
+    this.onClosed();
+  }
+
+  onClosed() {
+    if (this.closed) return;
+    this.closed = true;
+    this.handlers.close();
+  }
+}
+
+/** ---------------------------
+ *  Rooms
+ *  --------------------------- */
+// name -> { name, build, seed, hostId, clients: Map(id -> client), chunks, edits, seq, syncing }
+// `edits` maps "x,y,z" to { v, seq } in seq order: the latest edit of each cell the room's chunks don't hold.
+const rooms = new Map();
+let nextClientId = 1;
+
+function send(client, msg) {
+  client.conn.send(NetProtocol.encode(msg));
+}
+
+function broadcast(room, msg, except = null) {
+  const text = NetProtocol.encode(msg);
+  for (const c of room.clients.values()) if (c !== except) c.conn.send(text);
+}
+
+function reject(client, reason) {
+  send(client, { type: "reject", reason });
+  client.conn.close(1008, "rejected");
+}
+
+function isCell(n) {
+  return Number.isInteger(n) && Math.abs(n) < 1e7;
+}
+
+function isCoord(n) {
+  return Number.isFinite(n) && Math.abs(n) < 1e7;
+}
+
+// As [x, y, z, v] lists, oldest first.
+function roomEdits(room) {
+  return Array.from(room.edits, ([k, e]) => k.split(",").map(Number).concat(e.v));
+}
+
+// The host's world holds every edit it has applied, so its chunks can stand in for the older ones.
+function requestSync(room) {
+  const host = room.clients.get(room.hostId);
+  if (!host || room.syncing) return;
+  room.syncing = true;
+  send(host, { type: "sync" });
+}
+
+// A relayed pose or blast is rebuilt from checked fields, so nothing else rides along to the others.
+function checkedPose(msg) {
+  if (![msg.x, msg.y, msg.z, msg.yaw, msg.pitch].every(isCoord)) return null;
+  return { x: msg.x, y: msg.y, z: msg.z, yaw: msg.yaw, pitch: msg.pitch, dead: msg.dead === true };
+}
+
+function checkedExplosion(msg) {
+  if (![msg.x, msg.y, msg.z].every(isCoord)) return null;
+  if (!Number.isFinite(msg.radius) || msg.radius <= 0 || msg.radius > MAX_BLAST_RADIUS) return null;
+  const d = msg.destroyed;
+  if (!Array.isArray(d) || d.length % 4 || d.length > MAX_BLAST_CELLS * 4 || !d.every(isCell)) return null;
+  return { type: "explosion", x: msg.x, y: msg.y, z: msg.z, radius: msg.radius, destroyed: d };
+}
+
+function onHello(client, msg) {
+  if (msg.protocol !== NetProtocol.PROTOCOL_VERSION) {
+    reject(client, `protocol ${msg.protocol} does not match the relay's ${NetProtocol.PROTOCOL_VERSION}; update the game`);
+    return;
+  }
+  let room = rooms.get(client.roomName);
+  if (room && room.build !== msg.build) {
+    reject(client, `room "${room.name}" is playing build ${room.build}, not ${msg.build}`);
+    return;
+  }
+  if (!room) {
+    room = {
+      name: client.roomName,
+      build: msg.build,
+      seed: String(msg.seed),
+      hostId: client.id,
+      clients: new Map(),
+      chunks: [],
+      edits: new Map(),
+      seq: 0,
+      syncing: false,
+    };
+    rooms.set(room.name, room);
+  }
+
+  client.name = String(msg.name || `Player ${client.id}`).slice(0, 24);
+  client.room = room;
+  send(client, {
+    type: "welcome",
+    id: client.id,
+    hostId: room.hostId,
+    seed: room.seed,
+    seq: room.seq,
+    chunks: room.chunks,
+    edits: roomEdits(room),
+    players: Array.from(room.clients.values(), (c) => ({ id: c.id, name: c.name, pose: c.pose })),
+  });
+  room.clients.set(client.id, client);
+  broadcast(room, { type: "join", id: client.id, name: client.name }, client);
+  console.log(`[${room.name}] ${client.name} joined (${room.clients.size} playing, host ${room.hostId})`);
+}
+
+function onMessage(client, text) {
+  const msg = NetProtocol.decode(text);
+  if (!msg) return;
+  if (!client.room) {
+    if (msg.type === "hello") onHello(client, msg);
+    else reject(client, "say hello first");
+    return;
+  }
+
+  const room = client.room;
+  const isHost = room.hostId === client.id;
+  switch (msg.type) {
+    case "edit": {
+      if (![msg.x, msg.y, msg.z].every(isCell) || !Number.isInteger(msg.v) || msg.v < 0 || msg.v > 255) return;
+      const k = `${msg.x},${msg.y},${msg.z}`;
+      room.seq++;
+      room.edits.delete(k); // re-inserted at the end, keeping the map in seq order
+      room.edits.set(k, { v: msg.v, seq: room.seq });
+      broadcast(room, { type: "edit", seq: room.seq, id: client.id, x: msg.x, y: msg.y, z: msg.z, v: msg.v });
+      if (room.edits.size > MAX_ROOM_EDITS) requestSync(room);
+      return;
+    }
+    case "chunks": {
+      if (!isHost || !Array.isArray(msg.chunks)) return;
+      room.chunks = msg.chunks;
+      if (Number.isInteger(msg.seq)) {
+        // The answer to a sync: these chunks hold every edit up to `seq`.
+        room.syncing = false;
+        const upTo = Math.min(msg.seq, room.seq);
+        for (const [k, e] of room.edits) {
+          if (e.seq > upTo) break;
+          room.edits.delete(k);
+        }
+        return;
+      }
+      // Chunks from the host's save go under the edits made so far, for everyone: the host's own load
+      // may have overwritten edits that reached it meanwhile.
+      broadcast(room, { type: "chunks", seq: room.seq, chunks: msg.chunks, edits: roomEdits(room) });
+      return;
+    }
+    case "player": {
+      const pose = checkedPose(msg);
+      if (!pose) return;
+      client.pose = pose;
+      broadcast(room, Object.assign({ id: client.id }, pose, { type: "player" }), client);
+      return;
+    }
+    case "entities":
+      if (!isHost || !Array.isArray(msg.list)) return;
+      broadcast(room, { type: "entities", id: client.id, list: msg.list }, client);
+      return;
+    case "explosion": {
+      const blast = checkedExplosion(msg);
+      if (blast) broadcast(room, Object.assign(blast, { id: client.id }), client);
+      return;
+    }
+    default:
+      return;
+  }
+}
+
+function onClose(client) {
+  const room = client.room;
+  if (!room) return;
+  room.clients.delete(client.id);
+  if (!room.clients.size) {
+    rooms.delete(room.name);
+    console.log(`[${room.name}] empty, closed`);
+    return;
+  }
+  broadcast(room, { type: "leave", id: client.id, name: client.name });
+  if (room.hostId === client.id) {
+    room.hostId = room.clients.keys().next().value;
+    room.syncing = false; // a sync the old host never answered; the next edit asks the new one
+    broadcast(room, { type: "host", hostId: room.hostId });
+  }
+  console.log(`[${room.name}] ${client.name} left (${room.clients.size} playing, host ${room.hostId})`);
+}
+
+/** ---------------------------
+ *  HTTP: game files + WebSocket upgrade
+ *  --------------------------- */
+// The request's URL, or null when it doesn't parse (`//`, bad escapes) and deserves a 400.
+function requestUrl(req) {
+  try {
+    const url = new URL(req.url, "http://relay");
+    decodeURIComponent(url.pathname);
+    return url;
+  } catch (err) {
+    return null;
+  }
+}
+
+function serveFile(req, res) {
+  const url = requestUrl(req);
+  if (!url) {
+    res.writeHead(400);
+    res.end("Bad request\n");
+    return;
+  }
+  const pathname = decodeURIComponent(url.pathname);
+  // Flat folder only: basename() keeps requests from climbing out of it.
+  const name = path.basename(pathname) || "index.html";
+  const type = CONTENT_TYPES[path.extname(name)];
+  if (!type) {
+    res.writeHead(404);
+    res.end("Not found\n");
+    return;
+  }
+  fs.readFile(path.join(ROOT, name), (err, data) => {
+    if (err) {
+      res.writeHead(404);
+      res.end("Not found\n");
+      return;
+    }
+    res.writeHead(200, { "Content-Type": type, "Cache-Control": "no-cache" });
+    res.end(data);
+  });
+}
+
+// One odd request from the LAN must not take every room down with the process.
+const server = http.createServer((req, res) => {
+  try {
+    serveFile(req, res);
+  } catch (err) {
+    console.warn(`Request for ${req.url} failed:`, err);
+    if (!res.headersSent) res.writeHead(500);
+    res.end();
+  }
+});
+
+server.on("upgrade", (req, socket) => {
+  const url = requestUrl(req);
+  if (!url) {
+    socket.end("HTTP/1.1 400 Bad Request\r\nConnection: close\r\n\r\n", () => socket.destroy());
+    return;
+  }
+  const wsKey = req.headers["sec-websocket-key"];
+  if (!wsKey || String(req.headers.upgrade).toLowerCase() !== "websocket") {
+    socket.destroy();
+    return;
+  }
+  const accept = crypto.createHash("sha1").update(wsKey + WS_GUID).digest("base64");
+  socket.write(
+    "HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\n" +
+      `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+  );
+  socket.setNoDelay(true);
+
+  const client = {
+    id: nextClientId++,
+    name: "",
+    roomName: (url.searchParams.get("room") || NetProtocol.DEFAULT_ROOM).slice(0, 64),
+    room: null,
+    pose: null,
+    conn: null,
+  };
+  client.conn = new WebSocketConnection(socket, {
+    message: (text) => onMessage(client, text),
+    close: () => onClose(client),
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`Block City relay on port ${PORT} (protocol v${NetProtocol.PROTOCOL_VERSION})`);
+  console.log(`Open http://<this machine's LAN address>:${PORT}/?room=${NetProtocol.DEFAULT_ROOM} on each device`);
+});
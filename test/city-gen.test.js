@@ -0,0 +1,34 @@
+// The same seed must always lay out the same city, so shared seeds and saved edits line up.
+const test = require("node:test");
+const assert = require("node:assert");
+const CityGen = require("../city-gen.js");
+
+const BLOCKS = { AIR: 0, ROAD: 1, SIDEWALK: 2, GRASS: 3, BUILDING: 4, CRATE: 5, GLASS: 6, WATER: 7, LAMP: 8 };
+const SIZE = 16;
+const SPAN = 6; // chunks each way from the origin: several city blocks and districts
+
+// Every block in a SPAN x 2 x SPAN patch of chunks around the origin, ground and skyline.
+function generate(seed) {
+  const city = CityGen.createCityGenerator({ seed, blocks: BLOCKS });
+  const out = new Uint8Array(SPAN * SPAN * 2 * SIZE * SIZE * SIZE);
+  let i = 0;
+  for (let cz = -SPAN / 2; cz < SPAN / 2; cz++) {
+    for (let cx = -SPAN / 2; cx < SPAN / 2; cx++) {
+      for (let cy = 0; cy < 2; cy++) {
+        city.fillChunk(cx, cy, cz, SIZE, out.subarray(i, i + SIZE * SIZE * SIZE));
+        i += SIZE * SIZE * SIZE;
+      }
+    }
+  }
+  return out;
+}
+
+test("the same seed generates the same city", () => {
+  const a = generate("shared-seed");
+  assert.ok(a.some((b) => b === BLOCKS.BUILDING), "the patch has buildings");
+  assert.deepStrictEqual(generate("shared-seed"), a);
+});
+
+test("different seeds generate different cities", () => {
+  assert.notDeepStrictEqual(generate("seed-one"), generate("seed-two"));
+});
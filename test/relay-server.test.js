@@ -0,0 +1,236 @@
+// Runs relay-server.js as players do, on a free port, and talks to it over raw TCP.
+const test = require("node:test");
+const assert = require("node:assert");
+const net = require("node:net");
+const http = require("node:http");
+const path = require("node:path");
+const crypto = require("node:crypto");
+const { spawn } = require("node:child_process");
+
+const NetProtocol = require("../net-protocol.js");
+
+const RELAY = path.join(__dirname, "..", "relay-server.js");
+const MAX_ROOM_EDITS = 20000; // as in relay-server.js
+const PLAY_TIMEOUT = 30000; // a relay that never answers fails the test rather than hanging the run
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const srv = net.createServer();
+    srv.on("error", reject);
+    srv.listen(0, () => {
+      const { port } = srv.address();
+      srv.close(() => resolve(port));
+    });
+  });
+}
+
+// Relays a timed-out test never got to stop.
+const relays = new Set();
+test.after(() => {
+  for (const proc of relays) proc.kill();
+});
+
+// Resolves once the relay says it is listening.
+async function startRelay() {
+  const port = await freePort();
+  const proc = spawn(process.execPath, [RELAY, String(port)], { stdio: ["ignore", "pipe", "pipe"] });
+  relays.add(proc);
+  proc.on("exit", () => relays.delete(proc));
+  await new Promise((resolve, reject) => {
+    proc.on("exit", (code) => reject(new Error(`relay exited with ${code}`)));
+    proc.stdout.on("data", (data) => {
+      if (String(data).includes(`port ${port}`)) resolve();
+    });
+  });
+  return { proc, port };
+}
+
+// Sends `text` and resolves with everything the relay writes back before it closes the connection.
+function rawRequest(port, text) {
+  return new Promise((resolve, reject) => {
+    const socket = net.connect(port, "127.0.0.1", () => socket.write(text));
+    let out = "";
+    socket.on("data", (data) => (out += data));
+    socket.on("close", () => resolve(out));
+    socket.on("error", reject);
+  });
+}
+
+function getStatus(port, pathname) {
+  return new Promise((resolve, reject) => {
+    http
+      .get({ host: "127.0.0.1", port, path: pathname }, (res) => {
+        res.resume();
+        resolve(res.statusCode);
+      })
+      .on("error", reject);
+  });
+}
+
+function upgradeRequest(target) {
+  return (
+    `GET ${target} HTTP/1.1\r\nHost: relay\r\nUpgrade: websocket\r\nConnection: Upgrade\r\n` +
+    "Sec-WebSocket-Key: dGhlIHNhbXBsZSBub25jZQ==\r\nSec-WebSocket-Version: 13\r\n\r\n"
+  );
+}
+
+// A bare-bones WebSocket player: `send` masks JSON text frames, `next` resolves with the next message.
+function connectPlayer(port, room) {
+  return new Promise((resolve, reject) => {
+    const socket = net.connect(port, "127.0.0.1", () => socket.write(upgradeRequest(`/?room=${room}`)));
+    const queue = [];
+    const waiting = [];
+    let buffer = Buffer.alloc(0);
+    let upgraded = false;
+    const player = {
+      send(msg) {
+        const payload = Buffer.from(JSON.stringify(msg));
+        const len = payload.length;
+        const header =
+          len < 126 ? Buffer.from([0x81, 0x80 | len]) : Buffer.from([0x81, 0x80 | 126, len >> 8, len & 255]);
+        const mask = crypto.randomBytes(4);
+        for (let i = 0; i < len; i++) payload[i] ^= mask[i & 3];
+        socket.write(Buffer.concat([header, mask, payload]));
+      },
+      next() {
+        return queue.length ? Promise.resolve(queue.shift()) : new Promise((r) => waiting.push(r));
+      },
+      close() {
+        socket.destroy();
+      },
+    };
+    socket.on("error", reject);
+    socket.on("data", (data) => {
+      buffer = Buffer.concat([buffer, data]);
+      if (!upgraded) {
+        const end = buffer.indexOf("\r\n\r\n");
+        if (end < 0) return;
+        upgraded = true;
+        buffer = buffer.subarray(end + 4);
+        resolve(player);
+      }
+      for (;;) {
+        if (buffer.length < 2) return;
+        let len = buffer[1] & 0x7f;
+        let off = 2;
+        if (len === 126) {
+          if (buffer.length < 4) return;
+          len = buffer.readUInt16BE(2);
+          off = 4;
+        } else if (len === 127) {
+          if (buffer.length < 10) return;
+          len = Number(buffer.readBigUInt64BE(2));
+          off = 10;
+        }
+        if (buffer.length < off + len) return;
+        const msg = JSON.parse(buffer.subarray(off, off + len).toString());
+        buffer = buffer.subarray(off + len);
+        if (waiting.length) waiting.shift()(msg);
+        else queue.push(msg);
+      }
+    });
+  });
+}
+
+async function joinRoom(port, room) {
+  const player = await connectPlayer(port, room);
+  player.send({ type: "hello", protocol: NetProtocol.PROTOCOL_VERSION, build: "test", seed: "test-city" });
+  player.welcome = await player.next();
+  return player;
+}
+
+test("a malformed upgrade gets a 400 and leaves the relay running", async () => {
+  const { proc, port } = await startRelay();
+  try {
+    const reply = await rawRequest(port, upgradeRequest("//"));
+    assert.match(reply, /^HTTP\/1\.1 400 /);
+    assert.strictEqual(proc.exitCode, null);
+    assert.strictEqual(await getStatus(port, "/index.html"), 200);
+  } finally {
+    proc.kill();
+  }
+});
+
+test("the host's chunks reach everyone with the edits made before them", { timeout: PLAY_TIMEOUT }, async () => {
+  const { proc, port } = await startRelay();
+  const players = [];
+  try {
+    const host = await joinRoom(port, "merge");
+    players.push(host);
+    const guest = await joinRoom(port, "merge");
+    players.push(guest);
+    assert.strictEqual(guest.welcome.hostId, host.welcome.id);
+    assert.strictEqual((await host.next()).type, "join");
+
+    guest.send({ type: "edit", x: 1, y: 2, z: 3, v: 5 });
+    assert.strictEqual((await host.next()).seq, 1);
+    assert.strictEqual((await guest.next()).seq, 1);
+
+    host.send({ type: "chunks", chunks: [] });
+    for (const p of players) {
+      const msg = await p.next();
+      assert.strictEqual(msg.type, "chunks");
+      assert.strictEqual(msg.seq, 1);
+      assert.deepStrictEqual(msg.edits, [[1, 2, 3, 5]]);
+    }
+  } finally {
+    for (const p of players) p.close();
+    proc.kill();
+  }
+});
+
+test("a room with many edits trades the old ones for the host's chunks", { timeout: PLAY_TIMEOUT }, async () => {
+  const { proc, port } = await startRelay();
+  const players = [];
+  try {
+    const host = await joinRoom(port, "compact");
+    players.push(host);
+    for (let i = 0; i <= MAX_ROOM_EDITS; i++) {
+      host.send({ type: "edit", x: i, y: 0, z: 0, v: 1 });
+      assert.strictEqual((await host.next()).type, "edit");
+    }
+    assert.strictEqual((await host.next()).type, "sync");
+    const seq = MAX_ROOM_EDITS + 1;
+    host.send({ type: "edit", x: -1, y: 0, z: 0, v: 2 });
+    assert.strictEqual((await host.next()).type, "edit");
+    host.send({ type: "chunks", chunks: [{ cx: 0, cy: 0, cz: 0, rle: [1, 4096] }], seq });
+
+    const guest = await joinRoom(port, "compact");
+    players.push(guest);
+    assert.deepStrictEqual(guest.welcome.chunks, [{ cx: 0, cy: 0, cz: 0, rle: [1, 4096] }]);
+    assert.deepStrictEqual(guest.welcome.edits, [[-1, 0, 0, 2]]);
+  } finally {
+    for (const p of players) p.close();
+    proc.kill();
+  }
+});
+
+test("malformed poses and blasts are not relayed", { timeout: PLAY_TIMEOUT }, async () => {
+  const { proc, port } = await startRelay();
+  const players = [];
+  try {
+    const host = await joinRoom(port, "shapes");
+    players.push(host);
+    const guest = await joinRoom(port, "shapes");
+    players.push(guest);
+    await host.next(); // join
+
+    guest.send({ type: "player", x: "far", y: 0, z: 0, yaw: 0, pitch: 0 });
+    guest.send({ type: "explosion", x: 0, y: 0, z: 0, radius: 4, destroyed: "everything" });
+    guest.send({ type: "explosion", x: 0, y: 0, z: 0, radius: 1e9, destroyed: [] });
+    guest.send({ type: "player", x: 1, y: 2, z: 3, yaw: 0.5, pitch: 0, dead: false, extra: "x".repeat(100) });
+    assert.deepStrictEqual(await host.next(), {
+      id: guest.welcome.id,
+      x: 1,
+      y: 2,
+      z: 3,
+      yaw: 0.5,
+      pitch: 0,
+      dead: false,
+      type: "player",
+    });
+  } finally {
+    for (const p of players) p.close();
+    proc.kill();
+  }
+});
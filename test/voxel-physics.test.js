@@ -0,0 +1,81 @@
+// Swept box collision and ray picking against small hand-built voxel grids.
+const test = require("node:test");
+const assert = require("node:assert");
+const VoxelPhysics = require("../voxel-physics.js");
+
+const PLAYER = { halfWidth: 0.3, height: 1.8 };
+
+// Solid ground below y = 0, plus whatever `extra` says.
+function grid(extra = () => false) {
+  return (x, y, z) => y < 0 || extra(x, y, z);
+}
+
+function assertNear(actual, expected, what) {
+  assert.ok(Math.abs(actual - expected) < 1e-6, `${what}: ${actual} is not ${expected}`);
+}
+
+test("a grounded box climbs a one-block ledge", () => {
+  const solidAt = grid((x, y) => x >= 1 && y === 0);
+  const pos = { x: 0.5, y: 0, z: 0.5 };
+  const res = VoxelPhysics.moveBox(pos, PLAYER, { x: 0.5, y: -0.01, z: 0 }, solidAt, { stepHeight: 1 });
+  assert.ok(res.grounded && res.stepped);
+  assert.ok(!res.hitX);
+  assertNear(pos.x, 1, "x");
+  assertNear(pos.y, 1, "y");
+});
+
+test("a wall taller than stepHeight stops the box", () => {
+  const solidAt = grid((x, y) => x >= 1 && y <= 1);
+  const pos = { x: 0.5, y: 0, z: 0.5 };
+  const res = VoxelPhysics.moveBox(pos, PLAYER, { x: 0.5, y: -0.01, z: 0 }, solidAt, { stepHeight: 1 });
+  assert.ok(res.hitX);
+  assert.ok(!res.stepped);
+  assertNear(pos.x, 0.7, "x");
+  assertNear(pos.y, 0, "y");
+});
+
+test("landing sets grounded and bumping a roof sets ceiling", () => {
+  const solidAt = grid((x, y) => y === 3);
+  const falling = { x: 0.5, y: 0.5, z: 0.5 };
+  const down = VoxelPhysics.moveBox(falling, PLAYER, { x: 0, y: -1, z: 0 }, solidAt);
+  assert.deepStrictEqual([down.grounded, down.ceiling], [true, false]);
+  assertNear(falling.y, 0, "landed y");
+
+  const jumping = { x: 0.5, y: 0, z: 0.5 };
+  const up = VoxelPhysics.moveBox(jumping, PLAYER, { x: 0, y: 2, z: 0 }, solidAt);
+  assert.deepStrictEqual([up.grounded, up.ceiling], [false, true]);
+  assertNear(jumping.y, 3 - PLAYER.height, "bumped y");
+
+  const free = VoxelPhysics.moveBox({ x: 0.5, y: 0, z: 0.5 }, PLAYER, { x: 0, y: 0.5, z: 0 }, solidAt);
+  assert.deepStrictEqual([free.grounded, free.ceiling], [false, false]);
+});
+
+test("a fast fall doesn't tunnel through a one-block floor", () => {
+  const solidAt = (x, y) => y === 0;
+  const pos = { x: 0.5, y: 10, z: 0.5 };
+  const res = VoxelPhysics.moveBox(pos, PLAYER, { x: 0, y: -50, z: 0 }, solidAt);
+  assert.ok(res.grounded);
+  assertNear(pos.y, 1, "y");
+
+  const box = { min: [0.2, 10, 0.2], max: [0.8, 11.8, 0.8] };
+  assertNear(VoxelPhysics.sweepAxis(solidAt, box, 1, -50), -9, "swept");
+  assert.strictEqual(VoxelPhysics.sweepAxis(solidAt, box, 1, -5), -5);
+});
+
+test("raycast reports the cell, the face it entered and the distance", () => {
+  const solidAt = grid((x, y, z) => x === 3 && y === 0 && z === 0);
+  const across = VoxelPhysics.raycast({ x: 0.5, y: 0.5, z: 0.5 }, { x: 1, y: 0, z: 0 }, 10, solidAt);
+  assert.deepStrictEqual(across, { x: 3, y: 0, z: 0, nx: -1, ny: 0, nz: 0, dist: 2.5 });
+
+  const down = VoxelPhysics.raycast({ x: 5.5, y: 4.25, z: 0.5 }, { x: 0, y: -1, z: 0 }, 10, solidAt);
+  assert.deepStrictEqual(down, { x: 5, y: -1, z: 0, nx: 0, ny: 1, nz: 0, dist: 4.25 });
+});
+
+test("raycast misses what lies at or beyond maxDist", () => {
+  const solidAt = grid((x, y, z) => x === 3 && y === 0 && z === 0);
+  const origin = { x: 0.5, y: 0.5, z: 0.5 };
+  const dir = { x: 1, y: 0, z: 0 };
+  assert.strictEqual(VoxelPhysics.raycast(origin, dir, 2.5, solidAt), null);
+  assert.strictEqual(VoxelPhysics.raycast(origin, dir, 2.6, solidAt).x, 3);
+  assert.strictEqual(VoxelPhysics.raycast(origin, { x: 0, y: 1, z: 0 }, 50, solidAt), null);
+});
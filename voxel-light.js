@@ -0,0 +1,285 @@
+/* voxel-light.js — sky light and block light flood fill for Block City.
+   Every chunk carries `light`, a Uint8Array beside `blocks`: sky light (0..15) in the high nibble, block
+   light (0..15) in the low one. Sky light comes straight down from the top of a column at full strength
+   and loses one level per step sideways or under cover; block light spreads from emissive blocks and
+   loses one level per step. Pure data like voxel-physics.js, so it runs the same under Node.
+   Loaded as a plain <script> it defines `VoxelLight`; under CommonJS it is `module.exports`.
+*/
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.VoxelLight = factory();
+})(typeof self !== "undefined" ? self : this, () => {
+  "use strict";
+
+  const MAX_LIGHT = 15;
+  const BLOCK_CH = 0;
+  const SKY_CH = 1;
+  // Six neighbours; index 3 is straight down, where full sky light doesn't fade.
+  const DIRS = [
+    [1, 0, 0],
+    [-1, 0, 0],
+    [0, 1, 0],
+    [0, -1, 0],
+    [0, 0, 1],
+    [0, 0, -1],
+  ];
+  const DOWN = 3;
+
+  /**
+   * Creates a light engine over chunks of `chunkSize`.
+   *   chunkAt(cx, cy, cz)       — the loaded chunk ({ blocks, light }) or null
+   *   passes                    — Uint8Array(256), 1 for blocks light travels through (air, glass, water)
+   *   emit                      — Uint8Array(256), block light level a block gives off
+   *   onChunkChanged(chunk)     — called once per chunk whose mesh reads a cell whose light changed,
+   *                               including neighbours whose padded border holds that cell
+   * Unloaded chunks are never lit or read, except that a column with nothing loaded above it is open sky.
+   */
+  function createLightEngine({ chunkSize, chunkAt, passes, emit, onChunkChanged }) {
+    const N = chunkSize;
+
+    // locate() caches the last chunk it found and leaves the cell's local index in `li`. Chunks come and
+    // go between calls, so every entry point starts with an empty cache.
+    let cacheCx = NaN;
+    let cacheCy = NaN;
+    let cacheCz = NaN;
+    let cacheChunk = null;
+    let li = 0;
+    let lx = 0;
+    let ly = 0;
+    let lz = 0;
+
+    function locate(x, y, z) {
+      const cx = Math.floor(x / N);
+      const cy = Math.floor(y / N);
+      const cz = Math.floor(z / N);
+      if (cx !== cacheCx || cy !== cacheCy || cz !== cacheCz) {
+        cacheCx = cx;
+        cacheCy = cy;
+        cacheCz = cz;
+        cacheChunk = chunkAt(cx, cy, cz);
+      }
+      lx = x - cx * N;
+      ly = y - cy * N;
+      lz = z - cz * N;
+      li = lx + N * (ly + N * lz);
+      return cacheChunk && cacheChunk.light ? cacheChunk : null;
+    }
+
+    function resetCache() {
+      cacheCx = NaN;
+      cacheChunk = null;
+    }
+
+    function getLevel(c, i, ch) {
+      return ch === SKY_CH ? c.light[i] >> 4 : c.light[i] & 15;
+    }
+
+    function setLevel(c, i, ch, v) {
+      c.light[i] = ch === SKY_CH ? (c.light[i] & 15) | (v << 4) : (c.light[i] & 0xf0) | v;
+    }
+
+    // Chunk -> bitmask over the 27 offsets (dx,dy,dz in -1..1) whose meshes need rebuilding.
+    const touched = new Map();
+
+    // Records a change at the cell locate() last found. Cells on a chunk's edge also sit in the padded
+    // border of up to seven neighbours, and the mesher samples those for smooth light.
+    function touch(c) {
+      const xs = lx === 0 ? -1 : lx === N - 1 ? 1 : 0;
+      const ys = ly === 0 ? -1 : ly === N - 1 ? 1 : 0;
+      const zs = lz === 0 ? -1 : lz === N - 1 ? 1 : 0;
+      let mask = touched.get(c) || 0;
+      for (const dz of zs ? [0, zs] : [0]) {
+        for (const dy of ys ? [0, ys] : [0]) {
+          for (const dx of xs ? [0, xs] : [0]) mask |= 1 << (dx + 1 + 3 * (dy + 1) + 9 * (dz + 1));
+        }
+      }
+      touched.set(c, mask);
+    }
+
+    function flushTouched() {
+      const seen = new Set();
+      for (const [c, mask] of touched) {
+        for (let bit = 0; bit < 27; bit++) {
+          if (!(mask & (1 << bit))) continue;
+          const n = bit === 13 ? c : chunkAt(c.cx + (bit % 3) - 1, c.cy + (Math.floor(bit / 3) % 3) - 1, c.cz + Math.floor(bit / 9) - 1);
+          if (n && !seen.has(n)) {
+            seen.add(n);
+            onChunkChanged(n);
+          }
+        }
+      }
+      touched.clear();
+    }
+
+    // Breadth-first spread from cells already holding their level; `queue` is flat [x, y, z, ...].
+    function spread(ch, queue) {
+      for (let q = 0; q < queue.length; q += 3) {
+        const x = queue[q];
+        const y = queue[q + 1];
+        const z = queue[q + 2];
+        const c = locate(x, y, z);
+        if (!c) continue;
+        const level = getLevel(c, li, ch);
+        if (level <= 1) continue;
+        for (let d = 0; d < 6; d++) {
+          const nx = x + DIRS[d][0];
+          const ny = y + DIRS[d][1];
+          const nz = z + DIRS[d][2];
+          const n = locate(nx, ny, nz);
+          if (!n || !passes[n.blocks[li]]) continue;
+          const want = ch === SKY_CH && d === DOWN && level === MAX_LIGHT ? MAX_LIGHT : level - 1;
+          if (getLevel(n, li, ch) >= want) continue;
+          setLevel(n, li, ch, want);
+          touch(n);
+          queue.push(nx, ny, nz);
+        }
+      }
+    }
+
+    // Darkens everything lit by the removed cells, then hands the cells bordering the dark region
+    // (still lit from elsewhere) back to spread(). `queue` is flat [x, y, z, oldLevel, ...].
+    function unspread(ch, queue, refill) {
+      for (let q = 0; q < queue.length; q += 4) {
+        const x = queue[q];
+        const y = queue[q + 1];
+        const z = queue[q + 2];
+        const level = queue[q + 3];
+        for (let d = 0; d < 6; d++) {
+          const nx = x + DIRS[d][0];
+          const ny = y + DIRS[d][1];
+          const nz = z + DIRS[d][2];
+          const n = locate(nx, ny, nz);
+          if (!n) continue;
+          const nl = getLevel(n, li, ch);
+          if (nl === 0) continue;
+          const fedByUs = nl < level || (ch === SKY_CH && d === DOWN && level === MAX_LIGHT);
+          if (!fedByUs) {
+            refill.push(nx, ny, nz);
+            continue;
+          }
+          setLevel(n, li, ch, 0);
+          touch(n);
+          queue.push(nx, ny, nz, nl);
+          const own = ch === BLOCK_CH ? emit[n.blocks[li]] : 0;
+          if (own) {
+            setLevel(n, li, ch, own);
+            refill.push(nx, ny, nz);
+          }
+        }
+      }
+    }
+
+    // Sky level a cell would get from directly above: full when nothing is loaded over it.
+    function skyFromAbove(x, y, z) {
+      const above = locate(x, y + 1, z);
+      if (above) return getLevel(above, li, SKY_CH) === MAX_LIGHT ? MAX_LIGHT : 0;
+      return chunkAt(Math.floor(x / N), Math.floor((y + 1) / N), Math.floor(z / N)) ? 0 : MAX_LIGHT;
+    }
+
+    /**
+     * Relights the cell at (x, y, z) after its block changed to `newId`. Closing a cell
+     * takes away whatever light passed through it; opening one lets its neighbours shine in, so a hole
+     * punched in a roof fills the room below with sky light.
+     */
+    function updateBlock(x, y, z, newId) {
+      resetCache();
+      if (!locate(x, y, z)) return;
+      for (const ch of [BLOCK_CH, SKY_CH]) {
+        const c = locate(x, y, z);
+        const i = li;
+        const old = getLevel(c, i, ch);
+        const refill = [];
+        if (old > 0) {
+          setLevel(c, i, ch, 0);
+          touch(c);
+          unspread(ch, [x, y, z, old], refill);
+        }
+
+        let own = ch === BLOCK_CH ? emit[newId] : 0;
+        if (passes[newId]) {
+          if (ch === SKY_CH) own = skyFromAbove(x, y, z);
+          for (const [dx, dy, dz] of DIRS) refill.push(x + dx, y + dy, z + dz);
+        }
+        if (own > 0) {
+          locate(x, y, z);
+          setLevel(c, i, ch, own);
+          touch(c);
+          refill.push(x, y, z);
+        }
+        spread(ch, refill);
+      }
+      flushTouched();
+    }
+
+    /**
+     * Lights a freshly loaded (or replaced) stack of chunks from scratch. `chunks` is one column,
+     * sorted top to bottom and contiguous in cy. Light from loaded neighbours flows in and the
+     * column's own light flows out to them.
+     */
+    function lightColumn(chunks) {
+      if (!chunks.length) return;
+      resetCache();
+      const top = chunks[0];
+      const bottom = chunks[chunks.length - 1];
+      const x0 = top.cx * N;
+      const z0 = top.cz * N;
+      const yTop = (top.cy + 1) * N - 1;
+      const yBottom = bottom.cy * N;
+      for (const c of chunks) c.light.fill(0);
+
+      const skyQueue = [];
+      const blockQueue = [];
+      for (let z = z0; z < z0 + N; z++) {
+        for (let x = x0; x < x0 + N; x++) {
+          let sky = skyFromAbove(x, yTop, z);
+          for (let y = yTop; y >= yBottom; y--) {
+            const c = locate(x, y, z);
+            const b = c.blocks[li];
+            if (!passes[b]) sky = 0;
+            if (sky) {
+              setLevel(c, li, SKY_CH, sky);
+              skyQueue.push(x, y, z);
+            }
+            if (emit[b]) {
+              setLevel(c, li, BLOCK_CH, emit[b]);
+              blockQueue.push(x, y, z);
+            }
+          }
+        }
+      }
+
+      // Lit cells just outside the column shine back in.
+      for (let y = yBottom - 1; y <= yTop + 1; y++) {
+        for (let z = z0 - 1; z <= z0 + N; z++) {
+          for (let x = x0 - 1; x <= x0 + N; x++) {
+            const inside = x >= x0 && x < x0 + N && z >= z0 && z < z0 + N && y >= yBottom && y <= yTop;
+            if (inside) {
+              x = x0 + N - 1; // skip to the far wall of the column
+              continue;
+            }
+            const n = locate(x, y, z);
+            if (!n || !n.light[li]) continue;
+            if (getLevel(n, li, SKY_CH) > 1) skyQueue.push(x, y, z);
+            if (getLevel(n, li, BLOCK_CH) > 1) blockQueue.push(x, y, z);
+          }
+        }
+      }
+
+      spread(SKY_CH, skyQueue);
+      spread(BLOCK_CH, blockQueue);
+      flushTouched();
+    }
+
+    // Packed light (sky << 4 | block) at a world cell; full sky where nothing is loaded.
+    function lightAt(x, y, z) {
+      resetCache();
+      const c = locate(x, y, z);
+      return c ? c.light[li] : MAX_LIGHT << 4;
+    }
+
+    return { updateBlock, lightColumn, lightAt };
+  }
+
+  return { MAX_LIGHT, createLightEngine };
+});
@@ -0,0 +1,160 @@
+/* voxel-physics.js — swept AABB collision against a voxel grid for Block City.
+   Pure data: it only asks `solidAt(x, y, z)` about integer cells, so it never depends on meshes or
+   rendering and runs the same under Node.
+   Loaded as a plain <script> it defines `VoxelPhysics`; under CommonJS it is `module.exports`.
+*/
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.VoxelPhysics = factory();
+})(typeof self !== "undefined" ? self : this, () => {
+  "use strict";
+
+  // Faces closer than this count as touching, not overlapping, so resting boxes don't snag.
+  const EPS = 1e-4;
+
+  /**
+   * Bodies are axis-aligned boxes described by their feet centre `pos` ({x, y, z}) and a `shape`
+   * { halfWidth, height }: x and z span pos ± halfWidth, y spans [pos.y, pos.y + height].
+   */
+  function boxBounds(pos, shape) {
+    return {
+      min: [pos.x - shape.halfWidth, pos.y, pos.z - shape.halfWidth],
+      max: [pos.x + shape.halfWidth, pos.y + shape.height, pos.z + shape.halfWidth],
+    };
+  }
+
+  // True if any cell in the inclusive integer ranges is solid.
+  function anySolid(solidAt, x0, x1, y0, y1, z0, z1) {
+    for (let y = y0; y <= y1; y++) {
+      for (let z = z0; z <= z1; z++) {
+        for (let x = x0; x <= x1; x++) {
+          if (solidAt(x, y, z)) return true;
+        }
+      }
+    }
+    return false;
+  }
+
+  // Cells a slab one cell thick at `c` along `axis` would touch, given the box's extent on the other axes.
+  function slabSolid(solidAt, b, axis, c) {
+    const r = [0, 1, 2].map((a) => (a === axis ? [c, c] : [Math.floor(b.min[a] + EPS), Math.floor(b.max[a] - EPS)]));
+    return anySolid(solidAt, r[0][0], r[0][1], r[1][0], r[1][1], r[2][0], r[2][1]);
+  }
+
+  /**
+   * How far the box can move by `d` along `axis` (0 = x, 1 = y, 2 = z) before touching a solid cell.
+   * Checks every cell layer the leading face crosses, so fast movers can't tunnel.
+   */
+  function sweepAxis(solidAt, b, axis, d) {
+    if (d > 0) {
+      const lead = b.max[axis];
+      for (let c = Math.ceil(lead - EPS); c < lead + d; c++) {
+        if (slabSolid(solidAt, b, axis, c)) return Math.max(0, c - lead);
+      }
+    } else if (d < 0) {
+      const lead = b.min[axis];
+      for (let c = Math.floor(lead + EPS) - 1; c + 1 > lead + d; c--) {
+        if (slabSolid(solidAt, b, axis, c)) return Math.min(0, c + 1 - lead);
+      }
+    }
+    return d;
+  }
+
+  function shift(b, axis, d) {
+    b.min[axis] += d;
+    b.max[axis] += d;
+  }
+
+  /**
+   * Moves the body by `delta` ({x, y, z}), resolving y first and then x and z. Mutates `pos`.
+   * With `stepHeight` > 0, a body that starts the move on the ground climbs ledges up to that
+   * height instead of stopping at them.
+   * Returns { grounded, ceiling, hitX, hitZ, stepped }.
+   */
+  function moveBox(pos, shape, delta, solidAt, options = {}) {
+    const stepHeight = options.stepHeight || 0;
+    const b = boxBounds(pos, shape);
+    const res = { grounded: false, ceiling: false, hitX: false, hitZ: false, stepped: false };
+
+    const dy = sweepAxis(solidAt, b, 1, delta.y);
+    shift(b, 1, dy);
+    if (dy !== delta.y) {
+      if (delta.y < 0) res.grounded = true;
+      else res.ceiling = true;
+    }
+
+    for (const axis of [0, 2]) {
+      const want = axis === 0 ? delta.x : delta.z;
+      if (want === 0) continue;
+      const got = sweepAxis(solidAt, b, axis, want);
+
+      if (got !== want && stepHeight > 0 && res.grounded && tryStep(solidAt, b, axis, want, got, stepHeight)) {
+        res.stepped = true;
+        continue;
+      }
+      shift(b, axis, got);
+      if (got !== want) {
+        if (axis === 0) res.hitX = true;
+        else res.hitZ = true;
+      }
+    }
+
+    pos.x = b.min[0] + shape.halfWidth;
+    pos.y = b.min[1];
+    pos.z = b.min[2] + shape.halfWidth;
+    return res;
+  }
+
+  // Lift, move, settle. Applies to `b` and returns true only if the lifted move gets further.
+  function tryStep(solidAt, b, axis, want, got, stepHeight) {
+    const t = { min: b.min.slice(), max: b.max.slice() };
+    const up = sweepAxis(solidAt, t, 1, stepHeight);
+    shift(t, 1, up);
+    const across = sweepAxis(solidAt, t, axis, want);
+    if (Math.abs(across) <= Math.abs(got) + EPS) return false;
+    shift(t, axis, across);
+    shift(t, 1, sweepAxis(solidAt, t, 1, -up));
+    b.min = t.min;
+    b.max = t.max;
+    return true;
+  }
+
+  // True if the body's box overlaps the unit cell at (x, y, z).
+  function overlapsCell(pos, shape, x, y, z) {
+    const b = boxBounds(pos, shape);
+    return (
+      x < b.max[0] - EPS && x + 1 > b.min[0] + EPS &&
+      y < b.max[1] - EPS && y + 1 > b.min[1] + EPS &&
+      z < b.max[2] - EPS && z + 1 > b.min[2] + EPS
+    );
+  }
+
+  /**
+   * First solid cell the ray from `origin` along the unit vector `dir` enters within `maxDist`, as
+   * { x, y, z, nx, ny, nz, dist } where n is the face it came through, or null. The cell the ray
+   * starts in doesn't count.
+   */
+  function raycast(origin, dir, maxDist, solidAt) {
+    const o = [origin.x, origin.y, origin.z];
+    const d = [dir.x, dir.y, dir.z];
+    const cell = o.map(Math.floor);
+    const step = d.map(Math.sign);
+    const tDelta = d.map((v) => (v === 0 ? Infinity : Math.abs(1 / v)));
+    const tMax = d.map((v, a) => (v === 0 ? Infinity : (v > 0 ? cell[a] + 1 - o[a] : o[a] - cell[a]) * tDelta[a]));
+    for (;;) {
+      const a = tMax[0] < tMax[1] ? (tMax[0] < tMax[2] ? 0 : 2) : tMax[1] < tMax[2] ? 1 : 2;
+      const t = tMax[a];
+      if (t >= maxDist) return null;
+      cell[a] += step[a];
+      tMax[a] += tDelta[a];
+      if (solidAt(cell[0], cell[1], cell[2])) {
+        const n = [0, 0, 0];
+        n[a] = -step[a];
+        return { x: cell[0], y: cell[1], z: cell[2], nx: n[0], ny: n[1], nz: n[2], dist: t };
+      }
+    }
+  }
+
+  return { EPS, moveBox, sweepAxis, overlapsCell, raycast };
+});